@@ -3,6 +3,11 @@ const fs = require('./utils/fs');
 const objectHash = require('./utils/objectHash');
 const md5 = require('./utils/md5');
 const isURL = require('./utils/is-url');
+const Profiler = require('./Profiler');
+const config = require('./utils/config');
+const resolveRootPath = require('./utils/resolveRootPath');
+const splitQuery = require('./utils/splitQuery');
+const resolve = require('browser-resolve');
 const sanitizeFilename = require('sanitize-filename');
 
 let ASSET_ID = 1;
@@ -16,8 +21,17 @@ let ASSET_ID = 1;
 class Asset {
   constructor(name, pkg, options) {
     this.id = ASSET_ID++;
-    this.name = name;
+
+    // The query of the import (e.g. `./logo.svg?url`) changes how the file is loaded,
+    // so the same file can be loaded as several assets. `key` identifies the asset.
+    let {path: filename, query} = splitQuery(name);
+    this.key = name;
+    this.name = filename;
+    this.query = query;
     this.basename = path.basename(this.name);
+    this.relativeName = path
+      .relative(options.rootDir || '', this.name)
+      .replace(/\\/g, '/');
     this.package = pkg || {};
     this.options = options;
     this.encoding = 'utf8';
@@ -28,11 +42,14 @@ class Asset {
     this.ast = null;
     this.generated = null;
     this.hash = null;
+    this.sourceMap = null;
     this.parentDeps = new Set();
     this.dependencies = new Map();
     this.depAssets = new Map();
+    this.externals = new Set();
     this.parentBundle = null;
     this.bundles = new Set();
+    this.profiler = new Profiler(options.profile);
   }
 
   async loadIfNeeded() {
@@ -71,7 +88,13 @@ class Asset {
       from = this.name;
     }
 
-    let resolved = path.resolve(path.dirname(from), url).replace(/[?#].*$/, '');
+    // Keep the import query, e.g. `url(./icon.svg?inline)`, and ignore other queries and hashes
+    let {path: file, query} = splitQuery(url);
+    let resolved = this.resolveURL(file.replace(/[?#].*$/, ''), from);
+    if (query) {
+      resolved += '?' + query;
+    }
+
     this.addDependency(
       './' + path.relative(path.dirname(this.name), resolved),
       Object.assign({dynamic: true}, opts)
@@ -82,6 +105,59 @@ class Asset {
       .generateBundleName();
   }
 
+  /**
+   * Resolves a URL referenced from a file. URLs starting with `/` are relative to
+   * the project root, and URLs starting with `~` resolve through node_modules,
+   * the same way as imports (see Resolver).
+   */
+  resolveURL(url, from) {
+    if (url.startsWith('~') && !url.startsWith('~/')) {
+      // Resolve the package, and keep the rest of the path as is, so preprocessors
+      // can still add extensions, e.g. `~pkg/mixins` for `pkg/mixins.less`
+      let [, name, file] = /^~((?:@[^/]+\/)?[^/]+)(.*)$/.exec(url);
+      if (!file) {
+        return resolve.sync(name, {filename: from});
+      }
+
+      let pkg = resolve.sync(name + '/package.json', {filename: from});
+      return path.join(path.dirname(pkg), file);
+    }
+
+    if (url.startsWith('/')) {
+      return resolveRootPath(url, from, this.options.rootDir);
+    }
+
+    return path.resolve(path.dirname(from), url);
+  }
+
+  /**
+   * Loads the nearest config file with one of the given names, or the config under
+   * `packageKey` in package.json. The config file is added as a dependency that is
+   * included in this asset, so changing it invalidates the asset in the cache and
+   * the watcher.
+   */
+  async getConfig(filenames, opts = {}) {
+    if (opts.packageKey && this.package[opts.packageKey]) {
+      if (this.package.pkgfile) {
+        this.addDependency(this.package.pkgfile, {includedInParent: true});
+      }
+
+      return this.package[opts.packageKey];
+    }
+
+    let configPath = await config.resolve(this.name, filenames);
+    if (!configPath) {
+      return null;
+    }
+
+    this.addDependency(configPath, {includedInParent: true});
+    if (opts.load === false) {
+      return configPath;
+    }
+
+    return await config.load(this.name, filenames);
+  }
+
   mightHaveDependencies() {
     return true;
   }
@@ -114,12 +190,15 @@ class Asset {
 
   async process() {
     if (!this.generated) {
-      await this.loadIfNeeded();
-      await this.pretransform();
-      await this.getDependencies();
-      await this.transform();
-      this.generated = this.generate();
-      this.hash = this.generateHash();
+      let time = (phase, fn) =>
+        this.profiler.time(phase, this.relativeName, fn);
+
+      await time('load', () => this.loadIfNeeded());
+      await time('pretransform', () => this.pretransform());
+      await time('getDependencies', () => this.getDependencies());
+      await time('transform', () => this.transform());
+      this.generated = await time('generate', () => this.generate());
+      this.hash = await this.generateHash();
     }
 
     return this.generated;
@@ -135,8 +214,11 @@ class Asset {
     this.ast = null;
     this.generated = null;
     this.hash = null;
+    this.sourceMap = null;
     this.dependencies.clear();
     this.depAssets.clear();
+    this.externals.clear();
+    this.profiler.reset();
   }
 
   invalidateBundle() {
@@ -161,13 +243,18 @@ class Asset {
       return packageName + ext;
     }
 
-    // If this is the entry point of the root bundle, use the original filename
-    if (this.name === this.options.mainFile) {
-      return path.basename(this.name, path.extname(this.name)) + ext;
+    // If this is the entry point of a root bundle, use the original filename,
+    // relative to the root directory so entries in different directories don't conflict
+    if (this.options.entryFiles.includes(this.key)) {
+      let name = path.relative(this.options.rootDir, this.name);
+      return path.join(
+        path.dirname(name),
+        path.basename(name, path.extname(name)) + ext
+      );
     }
 
     // Otherwise generate a unique name
-    return md5(this.name) + ext;
+    return md5(this.key) + ext;
   }
 
   generateErrorMessage(err) {
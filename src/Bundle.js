@@ -1,5 +1,6 @@
 const Path = require('path');
 const crypto = require('crypto');
+const fs = require('./utils/fs');
 
 /**
  * A Bundle represents an output file, containing multiple assets. Bundles can have
@@ -16,6 +17,13 @@ class Bundle {
     this.assets = new Set();
     this.childBundles = new Set();
     this.siblingBundles = new Map();
+
+    // Shared bundles hold modules used by several child bundles, which load them along with their own
+    this.isShared = false;
+    this.sharedBundles = new Set();
+
+    // Service workers keep the same URL across builds, and can precache the other bundles
+    this.isServiceWorker = false;
   }
 
   addAsset(asset) {
@@ -58,16 +66,30 @@ class Bundle {
   }
 
   async package(bundler, oldHashes, newHashes = new Map()) {
-    if (this.isEmpty) {
-      return newHashes;
-    }
+    let promises = [];
 
-    let hash = this.getHash();
-    newHashes.set(this.name, hash);
+    // A bundle without a type only holds the bundles of several entry points
+    if (this.type) {
+      if (this.isEmpty) {
+        return newHashes;
+      }
 
-    let promises = [];
-    if (!oldHashes || oldHashes.get(this.name) !== hash) {
-      promises.push(this._package(bundler));
+      // Include the hashed bundle names, since the references to them change without the assets changing
+      let hash = this.getHash(
+        bundler.bundleNameMap,
+        this.isServiceWorker ? bundler.precacheManifest : null
+      );
+      newHashes.set(this.name, hash);
+
+      if (!oldHashes || oldHashes.get(this.name) !== hash) {
+        promises.push(
+          bundler.profiler.time(
+            'package',
+            Path.relative(bundler.options.outDir, this.name),
+            () => this._package(bundler)
+          )
+        );
+      }
     }
 
     for (let bundle of this.childBundles.values()) {
@@ -79,6 +101,9 @@ class Bundle {
   }
 
   async _package(bundler) {
+    // Entry points in subdirectories of the root are written to the same subdirectory
+    await fs.mkdirp(Path.dirname(this.name));
+
     let Packager = bundler.packagers.get(this.type);
     let packager = new Packager(this, bundler);
 
@@ -141,12 +166,82 @@ class Bundle {
     return last;
   }
 
-  getHash() {
+  /**
+   * Returns a name containing a hash of the bundle contents. `referencedNames`
+   * are the content hashed names of the bundles this bundle refers to, so the
+   * hash changes whenever one of them does.
+   */
+  getHashedBundleName(referencedNames = []) {
+    let hash = crypto.createHash('md5');
+    hash.update(this.getHash());
+    for (let name of referencedNames) {
+      hash.update(name);
+    }
+
+    // Bundles of other types generated from an asset (e.g. CSS imported from JS) are named after it
+    let bundle = this;
+    while (!bundle.entryAsset && !bundle.isShared) {
+      bundle = bundle.parentBundle;
+    }
+
+    let ext = Path.extname(this.name);
+    let name = bundle.isShared
+      ? 'shared'
+      : Path.basename(
+          bundle.entryAsset.name,
+          Path.extname(bundle.entryAsset.name)
+        );
+    return Path.join(
+      Path.dirname(this.name),
+      name + '.' + hash.digest('hex').slice(0, 8) + ext
+    );
+  }
+
+  /**
+   * Returns the names of the bundles this bundle refers to: its child bundles, along
+   * with the shared and sibling bundles that dynamic imports load, and the hashed
+   * names (or data URIs) of the bundles referenced by its assets.
+   */
+  getReferencedNames(bundleNameMap) {
+    let names = [];
+    for (let child of this.childBundles) {
+      let loaded = [
+        child,
+        ...child.sharedBundles,
+        ...child.siblingBundles.values()
+      ];
+      names.push(...loaded.map(bundle => Path.basename(bundle.name)));
+    }
+
+    let contents = Array.from(this.assets)
+      .map(asset => JSON.stringify(asset.generated))
+      .join('');
+    for (let [name, hashedName] of bundleNameMap) {
+      if (contents.includes(name)) {
+        names.push(hashedName);
+      }
+    }
+
+    return names;
+  }
+
+  getHash(bundleNameMap, precacheManifest) {
     let hash = crypto.createHash('md5');
     for (let asset of this.assets) {
       hash.update(asset.hash);
     }
 
+    if (bundleNameMap) {
+      for (let name of this.getReferencedNames(bundleNameMap)) {
+        hash.update(name);
+      }
+    }
+
+    // Service workers change whenever the bundles they precache change
+    if (precacheManifest) {
+      hash.update(JSON.stringify(precacheManifest));
+    }
+
     return hash.digest('hex');
   }
 }
@@ -3,6 +3,7 @@ const Resolver = require('./Resolver');
 const Parser = require('./Parser');
 const WorkerFarm = require('./WorkerFarm');
 const Path = require('path');
+const glob = require('glob');
 const Bundle = require('./Bundle');
 const {FSWatcher} = require('chokidar');
 const FSCache = require('./FSCache');
@@ -10,20 +11,36 @@ const HMRServer = require('./HMRServer');
 const Server = require('./Server');
 const {EventEmitter} = require('events');
 const Logger = require('./Logger');
+const Profiler = require('./Profiler');
 const PackagerRegistry = require('./packagers');
+const RawPackager = require('./packagers/RawPackager');
 const localRequire = require('./utils/localRequire');
 const config = require('./utils/config');
+const md5 = require('./utils/md5');
+const urlJoin = require('./utils/urlJoin');
+const splitQuery = require('./utils/splitQuery');
 const emoji = require('./utils/emoji');
 const loadEnv = require('./utils/env');
+const getRootDir = require('./utils/getRootDir');
+const generateManifest = require('./utils/generateManifest');
+const generatePrecacheManifest = require('./utils/generatePrecacheManifest');
+const generateBundleReport = require('./utils/generateBundleReport');
+
+// The environments the bundles can run in
+const TARGETS = ['browser', 'node', 'electron'];
+
+// The module formats of library builds
+const LIBRARY_FORMATS = ['umd', 'cjs', 'esm'];
 
 /**
  * The Bundler is the main entry point. It resolves and loads assets,
  * creates the bundle tree, and manages the worker farm, cache, and file watcher.
  */
 class Bundler extends EventEmitter {
-  constructor(main, options = {}) {
+  constructor(entryFiles, options = {}) {
     super();
-    this.mainFile = Path.resolve(main || '');
+    this.entryFiles = this.normalizeEntries(entryFiles);
+    this.mainFile = this.entryFiles[0];
     this.options = this.normalizeOptions(options);
 
     this.resolver = new Resolver(this.options);
@@ -31,19 +48,45 @@ class Bundler extends EventEmitter {
     this.packagers = new PackagerRegistry();
     this.cache = this.options.cache ? new FSCache(this.options) : null;
     this.logger = new Logger(this.options);
+    this.profiler = new Profiler(this.options.profile);
     this.delegate = options.delegate || {};
 
     this.pending = false;
     this.loadedAssets = new Map();
+    this.includedFiles = new Map();
+    this.entryAssets = null;
     this.farm = null;
     this.watcher = null;
     this.hmr = null;
     this.bundleHashes = null;
+    this.bundleNameMap = null;
+    this.precacheManifest = null;
     this.errored = false;
     this.buildQueue = new Set();
     this.rebuildTimeout = null;
   }
 
+  normalizeEntries(entryFiles) {
+    // Support passing a single file
+    if (!Array.isArray(entryFiles)) {
+      entryFiles = [entryFiles || ''];
+    } else if (entryFiles.length === 0) {
+      entryFiles = [''];
+    }
+
+    // Expand globs. Keep patterns without matches, so resolving them reports an error.
+    let files = [];
+    for (let entry of entryFiles) {
+      let matches = glob.hasMagic(entry)
+        ? glob.sync(entry, {absolute: true, nodir: true})
+        : [];
+
+      files.push(...(matches.length > 0 ? matches : [entry]));
+    }
+
+    return Array.from(new Set(files.map(file => Path.resolve(file))));
+  }
+
   normalizeOptions(options) {
     const isProduction =
       options.production || process.env.NODE_ENV === 'production';
@@ -53,20 +96,97 @@ class Bundler extends EventEmitter {
       '/' + Path.basename(options.outDir || 'dist');
     const watch =
       typeof options.watch === 'boolean' ? options.watch : !isProduction;
+    const scopeHoist =
+      typeof options.scopeHoist === 'boolean' ? options.scopeHoist : false;
+    const target = options.target || 'browser';
+    if (!TARGETS.includes(target)) {
+      throw new Error(
+        `Unknown target "${target}". Expected one of: ${TARGETS.join(', ')}.`
+      );
+    }
+
+    const library = options.library === true ? 'umd' : options.library || false;
+
+    if (library && !LIBRARY_FORMATS.includes(library)) {
+      throw new Error(
+        `Unknown library format "${library}". Expected one of: ${LIBRARY_FORMATS.join(
+          ', '
+        )}.`
+      );
+    }
+
+    // Globs of the bundles to precache in service workers, relative to the output directory
+    let precache = options.precache || false;
+    if (precache === true) {
+      precache = ['**'];
+    } else if (typeof precache === 'string') {
+      precache = [precache];
+    }
+
     return {
       outDir: Path.resolve(options.outDir || 'dist'),
       publicURL: publicURL,
       watch: watch,
       cache: typeof options.cache === 'boolean' ? options.cache : true,
       cacheDir: Path.resolve(options.cacheDir || '.cache'),
+      // Defaults to 1GB, after which the least recently used entries are evicted
+      cacheMaxSize:
+        typeof options.cacheMaxSize === 'number'
+          ? options.cacheMaxSize
+          : 1024 * 1024 * 1024,
       killWorkers:
         typeof options.killWorkers === 'boolean' ? options.killWorkers : true,
       minify:
         typeof options.minify === 'boolean' ? options.minify : isProduction,
-      hmr: typeof options.hmr === 'boolean' ? options.hmr : watch,
+      // Hoisted modules can't be hot reloaded individually, and the HMR runtime needs a browser
+      hmr:
+        !scopeHoist &&
+        !library &&
+        target === 'browser' &&
+        (typeof options.hmr === 'boolean' ? options.hmr : watch),
       logLevel: typeof options.logLevel === 'number' ? options.logLevel : 3,
       mainFile: this.mainFile,
-      hmrPort: options.hmrPort || 0
+      entryFiles: this.entryFiles,
+      rootDir: getRootDir(this.entryFiles),
+      hmrPort: options.hmrPort || 0,
+      // The hostname the HMR runtime connects to, e.g. behind a proxy. Defaults to the hostname of the page
+      hmrHostname: options.hmrHostname || '',
+      https: !!options.https,
+      // Rules of the dev server that forward paths to other hosts, see utils/proxy
+      proxy: options.proxy || null,
+      sourceMaps:
+        typeof options.sourceMaps === 'boolean' ? options.sourceMaps : true,
+      contentHash:
+        typeof options.contentHash === 'boolean'
+          ? options.contentHash
+          : isProduction,
+      scopeHoist: scopeHoist,
+      target: target,
+      // Node and Electron load node_modules at runtime, so they are only bundled on request
+      bundleNodeModules:
+        typeof options.bundleNodeModules === 'boolean'
+          ? options.bundleNodeModules
+          : target === 'browser',
+      // Modules shared by several child bundles are extracted into shared bundles over this size
+      minSharedBundleSize:
+        typeof options.minSharedBundleSize === 'number'
+          ? options.minSharedBundleSize
+          : 30 * 1024,
+      // Raw assets smaller than this are inlined as data URIs. Disabled by default.
+      inlineMaxSize:
+        typeof options.inlineMaxSize === 'number' ? options.inlineMaxSize : 0,
+      // Adds <link rel="preload"> and <link rel="prefetch"> tags for the bundles of HTML pages
+      resourceHints:
+        typeof options.resourceHints === 'boolean'
+          ? options.resourceHints
+          : false,
+      library: library,
+      precache: precache,
+      globalName: options.globalName || null,
+      manifest:
+        typeof options.manifest === 'boolean' ? options.manifest : false,
+      report: typeof options.report === 'boolean' ? options.report : false,
+      profile: typeof options.profile === 'boolean' ? options.profile : false
     };
   }
 
@@ -119,10 +239,11 @@ class Bundler extends EventEmitter {
       });
     }
 
-    let isInitialBundle = !this.mainAsset;
+    let isInitialBundle = !this.entryAssets;
     let startTime = Date.now();
     this.pending = true;
     this.errored = false;
+    this.profiler.reset();
 
     this.logger.clear();
     this.logger.status(emoji.progress, 'Building...');
@@ -131,12 +252,19 @@ class Bundler extends EventEmitter {
       // Start worker farm, watcher, etc. if needed
       await this.start();
 
-      // If this is the initial bundle, ensure the output directory exists, and resolve the main asset.
+      // If this is the initial bundle, ensure the output directory exists, and resolve the entry assets.
       if (isInitialBundle) {
         await fs.mkdirp(this.options.outDir);
 
-        this.mainAsset = await this.resolveAsset(this.mainFile);
-        this.buildQueue.add(this.mainAsset);
+        let entryAssets = new Set();
+        for (let entry of this.entryFiles) {
+          let asset = await this.resolveAsset(entry);
+          this.buildQueue.add(asset);
+          entryAssets.add(asset);
+        }
+
+        this.entryAssets = entryAssets;
+        this.mainAsset = entryAssets.values().next().value;
       }
 
       // Build the queued assets, and produce a bundle tree.
@@ -149,6 +277,15 @@ class Bundler extends EventEmitter {
           : `${(buildTime / 1000).toFixed(2)}s`;
       this.logger.status(emoji.success, `Built in ${time}.`, 'green');
 
+      if (this.options.profile) {
+        await this.profiler.report(this.logger, this.options.outDir);
+      }
+
+      // Keep the cache from growing forever. Rebuilds only add a few entries, so only check after the initial build.
+      if (isInitialBundle && this.cache) {
+        await this.cache.evict(this.options.cacheMaxSize);
+      }
+
       return bundle;
     } catch (err) {
       this.errored = true;
@@ -179,6 +316,12 @@ class Bundler extends EventEmitter {
     await this.loadPlugins();
     await loadEnv(this.mainFile);
 
+    // Libraries leave their peer dependencies to the application that uses them
+    let pkg = await config.load(this.mainFile, ['package.json']);
+    this.peerDependencies = new Set(
+      Object.keys((pkg && pkg.peerDependencies) || {})
+    );
+
     this.options.extensions = Object.assign({}, this.parser.extensions);
     this.options.env = process.env;
     this.farm = WorkerFarm.getShared(this.options);
@@ -194,8 +337,10 @@ class Bundler extends EventEmitter {
     }
 
     if (this.options.hmr) {
+      // The HMR websocket is served by the dev server, unless it has a port of its own
+      let attached = !this.options.hmrPort && !!this.server;
       this.hmr = new HMRServer();
-      this.options.hmrPort = await this.hmr.start(this.options.hmrPort);
+      this.options.hmrPort = await this.hmr.start(this.options, attached);
     }
   }
 
@@ -223,7 +368,7 @@ class Bundler extends EventEmitter {
         if (!isInitialBundle) {
           asset.invalidate();
           if (this.cache) {
-            this.cache.invalidate(asset.name);
+            this.cache.invalidate(asset.key);
           }
         }
 
@@ -248,8 +393,37 @@ class Bundler extends EventEmitter {
     }
 
     // Create a new bundle tree and package everything up.
-    let bundle = this.createBundleTree(this.mainAsset);
+    let bundle = this.createBundleTrees();
+    this.createSharedBundles(bundle);
+    let nameMap = this.getDataURIs();
+    if (this.options.contentHash) {
+      this.hashBundleNames(bundle, nameMap);
+    }
+
+    this.bundleNameMap = nameMap.size > 0 ? nameMap : null;
+
+    // Service workers list the bundles to precache, so it is regenerated on every build
+    this.precacheManifest = this.options.precache
+      ? generatePrecacheManifest(this, bundle)
+      : null;
+
     this.bundleHashes = await bundle.package(this, this.bundleHashes);
+    if (this.hmr) {
+      this.hmr.emitHash(this.bundleHashes);
+    }
+
+    // Write a manifest of the output bundles, e.g. for server rendered templates to reference them
+    if (this.options.manifest) {
+      await fs.writeFile(
+        Path.join(this.options.outDir, 'manifest.json'),
+        JSON.stringify(generateManifest(this, bundle), null, 2)
+      );
+    }
+
+    // Write a treemap of the bundle sizes, to find out what makes the bundles large
+    if (this.options.report) {
+      await generateBundleReport(this, bundle);
+    }
 
     // Unload any orphaned assets
     this.unloadOrphanedAssets();
@@ -268,7 +442,7 @@ class Bundler extends EventEmitter {
     this.loadedAssets.set(path, asset);
 
     if (this.watcher) {
-      this.watcher.add(path);
+      this.watcher.add(asset.name);
     }
 
     return asset;
@@ -276,7 +450,19 @@ class Bundler extends EventEmitter {
 
   async resolveDep(asset, dep) {
     try {
-      return await this.resolveAsset(dep.name, asset.name);
+      // Files included in the parent (e.g. config files) are absolute paths rather than imports
+      let parent =
+        dep.includedInParent && Path.isAbsolute(dep.name) ? null : asset.name;
+
+      if (
+        asset.type === 'js' &&
+        !dep.includedInParent &&
+        (await this.isExternal(dep.name, parent))
+      ) {
+        return null;
+      }
+
+      return await this.resolveAsset(dep.name, parent);
     } catch (err) {
       let thrown = err;
 
@@ -302,6 +488,39 @@ class Bundler extends EventEmitter {
     }
   }
 
+  /**
+   * Returns whether a dependency is left as a require, to be loaded at runtime rather
+   * than bundled. This is the case for the peer dependencies of libraries. When targeting
+   * node or electron, this is also the case for built-in modules, and for node_modules
+   * unless `bundleNodeModules` is set.
+   */
+  async isExternal(name, parent) {
+    let isBare = /^[^./~]/.test(name);
+    if (
+      this.options.library &&
+      isBare &&
+      this.peerDependencies.has(getPackageName(name))
+    ) {
+      return true;
+    }
+
+    if (this.options.target === 'browser') {
+      return false;
+    }
+
+    // Built-in modules resolve to their name rather than a file
+    let {path} = await this.resolver.resolve(name, parent);
+    if (!Path.isAbsolute(path)) {
+      return true;
+    }
+
+    return (
+      !this.options.bundleNodeModules &&
+      isBare &&
+      path.split(Path.sep).includes('node_modules')
+    );
+  }
+
   async loadAsset(asset) {
     if (asset.processed) {
       this.buildQueue.delete(asset);
@@ -316,11 +535,20 @@ class Bundler extends EventEmitter {
     asset.processed = true;
 
     // First try the cache, otherwise load and compile in the background
-    let processed = this.cache && (await this.cache.read(asset.name));
+    let processed =
+      this.cache &&
+      (await this.profiler.time('cache', asset.relativeName, () =>
+        this.cache.read(asset.key)
+      ));
     if (!processed) {
-      processed = await this.farm.run(asset.name, asset.package, this.options);
+      processed = await this.farm.run(asset.key, asset.package, this.options);
+
+      // The timings of the worker are only relevant to this build, so don't cache them
+      this.profiler.add(processed.timings);
+      delete processed.timings;
+
       if (this.cache) {
-        this.cache.write(asset.name, processed);
+        this.cache.write(asset.key, processed);
       }
     }
 
@@ -339,8 +567,12 @@ class Bundler extends EventEmitter {
     // Resolve and load asset dependencies
     let assetDeps = await Promise.all(
       dependencies.map(async dep => {
-        let assetDep = await this.resolveDep(asset, dep);
-        if (!dep.includedInParent) {
+        let assetDep = await this.profiler.time(
+          'resolve',
+          asset.relativeName,
+          () => this.resolveDep(asset, dep)
+        );
+        if (assetDep && !dep.includedInParent) {
           await this.loadAsset(assetDep);
         }
 
@@ -351,11 +583,25 @@ class Bundler extends EventEmitter {
     // Store resolved assets in their original order
     dependencies.forEach((dep, i) => {
       let assetDep = assetDeps[i];
+      if (!assetDep) {
+        // External dependencies are required at runtime, so they are not part of the tree
+        asset.externals.add(dep.name);
+        return;
+      }
+
       if (dep.includedInParent) {
         // This dependency is already included in the parent's generated output,
-        // so no need to load it. We map the name back to the parent asset so
-        // that changing it triggers a recompile of the parent.
-        this.loadedAssets.set(dep.name, asset);
+        // so no need to load it. Files like .babelrc are included by many assets,
+        // so we map the file to each of them, so that changing it recompiles them all.
+        if (!assetDep.processed) {
+          this.loadedAssets.delete(assetDep.key);
+        }
+
+        if (!this.includedFiles.has(assetDep.name)) {
+          this.includedFiles.set(assetDep.name, new Set());
+        }
+
+        this.includedFiles.get(assetDep.name).add(asset);
       } else {
         asset.dependencies.set(dep.name, dep);
         asset.depAssets.set(dep.name, assetDep);
@@ -365,6 +611,109 @@ class Bundler extends EventEmitter {
     this.buildQueue.delete(asset);
   }
 
+  createBundleTrees() {
+    if (this.entryAssets.size === 1) {
+      return this.createBundleTree(this.mainAsset);
+    }
+
+    // With several entry points, a root bundle without a type holds the bundle tree of each entry
+    let root = new Bundle();
+    for (let asset of this.entryAssets) {
+      // Skip entries that already have their own bundle, e.g. an HTML page linked from another entry
+      if (asset.parentBundle && asset.parentBundle.entryAsset === asset) {
+        continue;
+      }
+
+      let bundle = root.createChildBundle(
+        asset.type,
+        Path.join(this.options.outDir, asset.generateBundleName())
+      );
+      bundle.entryAsset = asset;
+      this.createBundleTree(asset, null, bundle);
+    }
+
+    return root;
+  }
+
+  /**
+   * Maps the names of the assets inlined as data URIs to their data URI, so the
+   * packagers replace the references to them like content hashed names.
+   * HTML references assets by their public URL, and CSS by their name.
+   */
+  getDataURIs() {
+    let nameMap = new Map();
+    for (let asset of this.loadedAssets.values()) {
+      if (asset.parentBundle && asset.generated && asset.generated.dataURI) {
+        let name = asset.generateBundleName();
+        nameMap.set(
+          urlJoin(this.options.publicURL, name),
+          asset.generated.dataURI
+        );
+        nameMap.set(name, asset.generated.dataURI);
+      }
+    }
+
+    return nameMap;
+  }
+
+  /**
+   * Puts a hash of the contents in the names of the JS, CSS and raw bundles, so
+   * they can be cached forever. Entry points and HTML pages keep their names.
+   * Returns a map from the original names (as referenced by the assets) to the
+   * hashed names, which the packagers use to rewrite the references.
+   */
+  hashBundleNames(bundle, nameMap = new Map()) {
+    // Hash the children first, since the bundle references their names
+    for (let child of bundle.childBundles) {
+      this.hashBundleNames(child, nameMap);
+    }
+
+    if (!bundle.type || bundle.type === 'html' || bundle.isEmpty) {
+      return nameMap;
+    }
+
+    // Raw assets are copied to separate files by the RawPackager, so hash each of them
+    if (this.packagers.get(bundle.type) === RawPackager) {
+      for (let asset of bundle.assets) {
+        if (!this.entryFiles.includes(asset.key)) {
+          let ext = Path.extname(asset.name);
+          nameMap.set(
+            asset.generateBundleName(),
+            `${Path.basename(asset.name, ext)}.${asset.hash.slice(0, 8)}${ext}`
+          );
+        }
+      }
+
+      if (bundle.entryAsset && nameMap.has(Path.basename(bundle.name))) {
+        bundle.name = Path.join(
+          Path.dirname(bundle.name),
+          nameMap.get(Path.basename(bundle.name))
+        );
+      }
+
+      return nameMap;
+    }
+
+    // Sibling bundles of entry points keep their names too, but shared bundles are not siblings
+    let entryAsset =
+      bundle.entryAsset || (!bundle.isShared && bundle.parentBundle.entryAsset);
+    if (entryAsset && this.entryFiles.includes(entryAsset.name)) {
+      return nameMap;
+    }
+
+    // Service workers need a stable URL, so browsers update the registered worker instead of installing a new one
+    if (bundle.isServiceWorker) {
+      return nameMap;
+    }
+
+    let name = Path.basename(bundle.name);
+    bundle.name = bundle.getHashedBundleName(
+      bundle.getReferencedNames(nameMap)
+    );
+    nameMap.set(name, Path.basename(bundle.name));
+    return nameMap;
+  }
+
   createBundleTree(asset, dep, bundle) {
     if (dep) {
       asset.parentDeps.add(dep);
@@ -381,6 +730,16 @@ class Bundler extends EventEmitter {
           this.moveAssetToBundle(asset, commonBundle);
           return;
         }
+
+        // If the asset already has its own bundle in the tree of another entry point, reuse it
+        if (
+          !commonBundle.type &&
+          dep &&
+          dep.dynamic &&
+          asset.parentBundle.entryAsset === asset
+        ) {
+          return;
+        }
       } else return;
     }
 
@@ -393,17 +752,28 @@ class Bundler extends EventEmitter {
       bundle.entryAsset = asset;
     }
 
-    // Create a new bundle for dynamic imports
-    if (dep && dep.dynamic) {
+    // Create a new bundle for dynamic imports. Node and Electron load files from disk
+    // rather than over the network, and libraries are bundled again by the application,
+    // so dynamic imports of JS are bundled with the parent.
+    let isLocal =
+      (this.options.target !== 'browser' || this.options.library) &&
+      bundle &&
+      bundle.type === 'js' &&
+      asset.type === 'js';
+    let isInlined = asset.generated.dataURI != null;
+    if (dep && dep.dynamic && !isLocal && !isInlined) {
       bundle = bundle.createChildBundle(
         asset.type,
         Path.join(this.options.outDir, asset.generateBundleName())
       );
       bundle.entryAsset = asset;
+      bundle.isServiceWorker = !!dep.serviceWorker;
     }
 
-    // Add the asset to the bundle of the asset's type
-    bundle.getSiblingBundle(asset.type).addAsset(asset);
+    // Add the asset to the bundle of the asset's type, unless it was inlined as a data URI
+    if (!isInlined) {
+      bundle.getSiblingBundle(asset.type).addAsset(asset);
+    }
 
     // If the asset generated a representation for the parent bundle type, also add it there
     if (asset.generated[bundle.type] != null) {
@@ -420,6 +790,86 @@ class Bundler extends EventEmitter {
     return bundle;
   }
 
+  /**
+   * Moves the modules that were hoisted into a common ancestor because several child
+   * bundles use them into a shared bundle, which is loaded along with those child bundles.
+   * Modules used by the same child bundles are grouped, and the group is only extracted
+   * if it is at least `minSharedBundleSize` bytes, so small modules don't cost a request.
+   */
+  createSharedBundles(root) {
+    // Find the JS bundles that require each asset, not counting dynamic imports
+    let users = new Map();
+    let entryAssets = new Set();
+    for (let bundle of getBundles(root)) {
+      if (bundle.type !== 'js' || !bundle.entryAsset) {
+        continue;
+      }
+
+      entryAssets.add(bundle.entryAsset);
+      for (let asset of getStaticDeps(bundle.entryAsset)) {
+        if (!users.has(asset)) {
+          users.set(asset, new Set());
+        }
+
+        users.get(asset).add(bundle);
+      }
+    }
+
+    // Group the assets that are not used by the bundle they are in by the bundles that use them
+    let groups = new Map();
+    for (let [asset, bundles] of users) {
+      let parent = asset.parentBundle;
+      if (
+        asset.type !== 'js' ||
+        entryAssets.has(asset) ||
+        !parent ||
+        !parent.entryAsset ||
+        !parent.assets.has(asset) ||
+        bundles.has(parent) ||
+        bundles.size < 2
+      ) {
+        continue;
+      }
+
+      let key = [parent, ...bundles]
+        .map(bundle => Path.relative(this.options.outDir, bundle.name))
+        .join(':');
+      if (!groups.has(key)) {
+        groups.set(key, {parent, bundles, assets: [], size: 0});
+      }
+
+      let group = groups.get(key);
+      group.assets.push(asset);
+      group.size += Buffer.byteLength(asset.generated.js || '');
+    }
+
+    for (let [key, {parent, bundles, assets, size}] of groups) {
+      if (size < this.options.minSharedBundleSize) {
+        continue;
+      }
+
+      let shared = new Bundle(
+        'js',
+        Path.join(this.options.outDir, `shared.${md5(key).slice(0, 8)}.js`),
+        parent
+      );
+      shared.isShared = true;
+
+      // Shared bundles go first, so their names are hashed before the bundles that load them
+      parent.childBundles = new Set([shared, ...parent.childBundles]);
+
+      for (let asset of assets) {
+        parent.removeAsset(asset);
+        shared.addAsset(asset);
+        asset.parentBundle = shared;
+      }
+
+      for (let bundle of bundles) {
+        bundle.sharedBundles.add(shared);
+      }
+    }
+  }
+
   moveAssetToBundle(asset, commonBundle) {
     for (let bundle of Array.from(asset.bundles)) {
       bundle.removeAsset(asset);
@@ -452,23 +902,59 @@ class Bundler extends EventEmitter {
   }
 
   unloadAsset(asset) {
-    this.loadedAssets.delete(asset.name);
-    if (this.watcher) {
+    this.loadedAssets.delete(asset.key);
+
+    // Keep watching the file if it is still loaded with another import query
+    if (this.watcher && this.getAssetsOfFile(asset.name).length === 0) {
       this.watcher.unwatch(asset.name);
     }
+
+    // Stop watching the files it included, unless other assets include them too
+    for (let [file, assets] of this.includedFiles) {
+      if (assets.delete(asset) && assets.size === 0) {
+        this.includedFiles.delete(file);
+        if (this.watcher && this.getAssetsOfFile(file).length === 0) {
+          this.watcher.unwatch(file);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the assets loaded from a file: the asset itself, the assets loaded with an
+   * import query (e.g. `./logo.svg?url`), or the assets that include the file.
+   */
+  getAssetsOfFile(path) {
+    let assets = [];
+    for (let [key, asset] of this.loadedAssets) {
+      if (splitQuery(key).path === path) {
+        assets.push(asset);
+      }
+    }
+
+    for (let asset of this.includedFiles.get(path) || []) {
+      if (!assets.includes(asset)) {
+        assets.push(asset);
+      }
+    }
+
+    return assets;
   }
 
   async onChange(path) {
-    let asset = this.loadedAssets.get(path);
-    if (!asset) {
+    let assets = this.getAssetsOfFile(path);
+    if (assets.length === 0) {
       return;
     }
 
     this.logger.clear();
-    this.logger.status(emoji.progress, `Building ${asset.basename}...`);
+    this.logger.status(emoji.progress, `Building ${assets[0].basename}...`);
+
+    // Add the assets to the rebuild queue, and reset the timeout.
+    for (let asset of assets) {
+      this.buildQueue.add(asset);
+    }
 
-    // Add the asset to the rebuild queue, and reset the timeout.
-    this.buildQueue.add(asset);
     clearTimeout(this.rebuildTimeout);
 
     this.rebuildTimeout = setTimeout(async () => {
@@ -481,11 +967,42 @@ class Bundler extends EventEmitter {
     return Server.middleware(this);
   }
 
-  async serve(port = 1234, https = false) {
-    let server = await Server.serve(this, port, https);
+  async serve(port = 1234, https = this.options.https) {
+    this.options.https = https;
+    this.server = await Server.serve(this, port, https);
     this.bundle();
-    return server;
+    return this.server;
+  }
+}
+
+function* getBundles(bundle) {
+  yield bundle;
+  for (let child of bundle.childBundles) {
+    yield* getBundles(child);
+  }
+}
+
+/**
+ * Returns the assets required by an asset and its dependencies, not counting dynamic imports.
+ */
+function getStaticDeps(asset, deps = new Set()) {
+  deps.add(asset);
+  for (let [name, dep] of asset.dependencies) {
+    let depAsset = asset.depAssets.get(name);
+    if (!dep.dynamic && !deps.has(depAsset)) {
+      getStaticDeps(depAsset, deps);
+    }
   }
+
+  return deps;
+}
+
+/**
+ * Returns the name of the package a bare specifier refers to, e.g. `@scope/pkg` for `@scope/pkg/file`.
+ */
+function getPackageName(specifier) {
+  let parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
 }
 
 module.exports = Bundler;
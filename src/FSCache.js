@@ -2,11 +2,22 @@ const fs = require('./utils/fs');
 const path = require('path');
 const md5 = require('./utils/md5');
 const objectHash = require('./utils/objectHash');
+const splitQuery = require('./utils/splitQuery');
 const pkg = require('../package.json');
 const json5 = require('json5');
 
 // These keys can affect the output, so if they differ, the cache should not match
-const OPTION_KEYS = ['publicURL', 'minify', 'hmr'];
+const OPTION_KEYS = [
+  'publicURL',
+  'minify',
+  'hmr',
+  'sourceMaps',
+  'rootDir',
+  'entryFiles',
+  'scopeHoist',
+  'target',
+  'inlineMaxSize'
+];
 
 class FSCache {
   constructor(options) {
@@ -30,10 +41,60 @@ class FSCache {
     return path.join(this.dir, hash + '.json');
   }
 
+  /**
+   * Returns the content hash of each file that the processed asset depends on: the
+   * asset itself, plus the config files and other files included in it (e.g. imported
+   * partials). The mtime is recorded so unchanged files don't need to be hashed again.
+   */
+  async getInputs(filename, data) {
+    // Entries are keyed by the asset, including its import query (e.g. `./logo.svg?url`)
+    let assetFile = splitQuery(filename).path;
+    let files = new Set([assetFile]);
+    for (let dep of data.dependencies) {
+      if (dep.includedInParent) {
+        files.add(path.resolve(path.dirname(assetFile), dep.name));
+      }
+    }
+
+    return await Promise.all(
+      Array.from(files).map(async file => {
+        try {
+          let stats = await fs.stat(file);
+          return {
+            file,
+            mtime: stats.mtime.getTime(),
+            hash: md5(await fs.readFile(file))
+          };
+        } catch (err) {
+          // Missing files are recorded too, so creating them invalidates the asset
+          return {file, mtime: null, hash: null};
+        }
+      })
+    );
+  }
+
+  async isValid(input) {
+    try {
+      let stats = await fs.stat(input.file);
+      if (stats.mtime.getTime() === input.mtime) {
+        return true;
+      }
+
+      // The mtime changes without the contents changing, e.g. when switching branches
+      return md5(await fs.readFile(input.file)) === input.hash;
+    } catch (err) {
+      return input.hash === null;
+    }
+  }
+
   async write(filename, data) {
     try {
       await this.ensureDirExists();
-      await fs.writeFile(this.getCacheFile(filename), JSON.stringify(data));
+      let inputs = await this.getInputs(filename, data);
+      await fs.writeFile(
+        this.getCacheFile(filename),
+        JSON.stringify({version: pkg.version, inputs, data})
+      );
       this.invalidated.delete(filename);
     } catch (err) {
       console.error('Error writing to cache', err);
@@ -48,15 +109,16 @@ class FSCache {
     let cacheFile = this.getCacheFile(filename);
 
     try {
-      let stats = await fs.stat(filename);
-      let cacheStats = await fs.stat(cacheFile);
-
-      if (stats.mtime > cacheStats.mtime) {
+      let {inputs, data} = json5.parse(await fs.readFile(cacheFile));
+      let valid = await Promise.all(inputs.map(input => this.isValid(input)));
+      if (!valid.every(Boolean)) {
         return null;
       }
 
-      let data = await fs.readFile(cacheFile);
-      return json5.parse(data);
+      // Mark the entry as recently used, so it is evicted last
+      let now = new Date();
+      await fs.utimes(cacheFile, now, now);
+      return data;
     } catch (err) {
       return null;
     }
@@ -74,6 +136,129 @@ class FSCache {
       // Fail silently
     }
   }
+
+  /**
+   * Returns the entries in the cache directory, with their size in bytes and
+   * the time they were last used.
+   */
+  async getEntries() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (err) {
+      return [];
+    }
+
+    let entries = await Promise.all(
+      files.filter(file => path.extname(file) === '.json').map(async file => {
+        file = path.join(this.dir, file);
+        try {
+          let stats = await fs.stat(file);
+          return {file, size: stats.size, lastUsed: stats.mtime.getTime()};
+        } catch (err) {
+          // Removed in the meantime, e.g. by another process
+          return null;
+        }
+      })
+    );
+
+    return entries.filter(Boolean);
+  }
+
+  async stats() {
+    let entries = await this.getEntries();
+    let times = entries.map(entry => entry.lastUsed);
+
+    return {
+      entries: entries.length,
+      size: sumSizes(entries),
+      oldest: times.length > 0 ? new Date(Math.min(...times)) : null,
+      newest: times.length > 0 ? new Date(Math.max(...times)) : null
+    };
+  }
+
+  /**
+   * Removes the least recently used entries until the cache is at most `maxSize`
+   * bytes, and returns the removed entries.
+   */
+  async evict(maxSize) {
+    let entries = await this.getEntries();
+    let size = sumSizes(entries);
+    let removed = [];
+
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (let entry of entries) {
+      if (size <= maxSize) {
+        break;
+      }
+
+      if (await removeEntry(entry)) {
+        removed.push(entry);
+      }
+
+      size -= entry.size;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Removes the entries that can't be read anymore: entries written by another
+   * version of Parcel, and entries of files that were deleted. If `maxSize` is
+   * given, the least recently used entries are evicted as well.
+   */
+  async prune(maxSize = Infinity) {
+    let removed = [];
+    for (let entry of await this.getEntries()) {
+      let stale;
+      try {
+        let {version, inputs} = json5.parse(await fs.readFile(entry.file));
+        stale = version !== pkg.version || !await fs.exists(inputs[0].file);
+      } catch (err) {
+        // Invalid JSON, e.g. entries written by older versions of Parcel
+        stale = true;
+      }
+
+      if (stale && (await removeEntry(entry))) {
+        removed.push(entry);
+      }
+    }
+
+    return removed.concat(await this.evict(maxSize));
+  }
+
+  /**
+   * Removes all of the entries, and the cache directory if nothing else is left in it.
+   */
+  async clean() {
+    let removed = [];
+    for (let entry of await this.getEntries()) {
+      if (await removeEntry(entry)) {
+        removed.push(entry);
+      }
+    }
+
+    try {
+      await fs.rmdir(this.dir);
+    } catch (err) {
+      // Not empty, e.g. it contains the certificate of the dev server
+    }
+
+    return removed;
+  }
+}
+
+async function removeEntry(entry) {
+  try {
+    await fs.unlink(entry.file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function sumSizes(entries) {
+  return entries.reduce((size, entry) => size + entry.size, 0);
 }
 
 module.exports = FSCache;
@@ -1,14 +1,57 @@
+const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
 const prettyError = require('./utils/prettyError');
+const generateCertificate = require('./utils/generateCertificate');
+const md5 = require('./utils/md5');
+
+// The number of updates kept for the clients that reconnect, after which they reload instead
+const HISTORY_SIZE = 20;
 
 class HMRServer {
-  async start(port) {
-    await new Promise(resolve => {
-      this.wss = new WebSocket.Server({port}, resolve);
-    });
+  constructor() {
+    // The hash of the last build, and the updates since the previous builds
+    this.hash = null;
+    this.history = [];
+  }
+
+  /**
+   * Starts the websocket server. It is attached to the dev server if there is one, so
+   * it shares its port and protocol, otherwise it listens on the `hmrPort` option.
+   * Returns the port of its own server, or null when it is attached to the dev server.
+   */
+  async start(options, attached = false) {
+    if (attached) {
+      // The dev server passes its websockets on to handleUpgrade, unless they are proxied
+      this.wss = new WebSocket.Server({noServer: true});
+    } else {
+      this.server = options.https
+        ? https.createServer(generateCertificate(options))
+        : http.createServer();
+
+      await new Promise(resolve => {
+        this.server.listen(options.hmrPort, resolve);
+      });
+
+      this.wss = new WebSocket.Server({server: this.server});
+    }
 
     this.wss.on('connection', ws => {
       ws.onerror = this.handleSocketError;
+      ws.on('message', data => {
+        // Anyone can connect to the dev server, so ignore the messages that aren't from the runtime
+        let msg;
+        try {
+          msg = JSON.parse(data);
+        } catch (err) {
+          return;
+        }
+
+        if (msg && msg.type === 'resync') {
+          this.resync(ws, msg.hash);
+        }
+      });
+
       if (this.unresolvedError) {
         ws.send(JSON.stringify(this.unresolvedError));
       }
@@ -16,11 +59,20 @@ class HMRServer {
 
     this.wss.on('error', this.handleSocketError);
 
-    return this.wss._server.address().port;
+    return this.server ? this.server.address().port : null;
+  }
+
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      this.wss.emit('connection', ws, req);
+    });
   }
 
   stop() {
     this.wss.close();
+    if (this.server) {
+      this.server.close();
+    }
   }
 
   emitError(err) {
@@ -32,7 +84,10 @@ class HMRServer {
       type: 'error',
       error: {
         message,
-        stack
+        stack,
+        // The runtime shows the location in its error overlay, and opens the file in the editor from it
+        fileName: err.fileName,
+        loc: err.loc
       }
     };
 
@@ -47,13 +102,14 @@ class HMRServer {
       });
     }
 
+    let msg;
     const containsHtmlAsset = assets.some(asset => asset.type === 'html');
     if (containsHtmlAsset) {
-      this.broadcast({
+      msg = {
         type: 'reload'
-      });
+      };
     } else {
-      this.broadcast({
+      msg = {
         type: 'update',
         assets: assets.map(asset => {
           let deps = {};
@@ -68,10 +124,49 @@ class HMRServer {
             deps: deps
           };
         })
+      };
+    }
+
+    this.history.push({hash: this.hash, msg});
+    this.history = this.history.slice(-HISTORY_SIZE);
+    this.broadcast(msg);
+  }
+
+  /**
+   * Sends the hash of the build to the clients, from the hashes of its bundles.
+   * Clients send it back when they reconnect, to get the updates they missed.
+   */
+  emitHash(bundleHashes) {
+    let hash = md5(JSON.stringify(Array.from(bundleHashes)));
+    if (hash !== this.hash) {
+      this.hash = hash;
+      this.broadcast({
+        type: 'hash',
+        hash
       });
     }
   }
 
+  /**
+   * Sends the updates since the build a client last received, e.g. after the computer slept.
+   * Clients that missed more updates than the history holds reload the page.
+   */
+  resync(ws, hash) {
+    let msgs = [];
+    if (hash && hash !== this.hash) {
+      let index = this.history.map(entry => entry.hash).lastIndexOf(hash);
+      msgs =
+        index === -1
+          ? [{type: 'reload'}]
+          : this.history.slice(index).map(entry => entry.msg);
+    }
+
+    msgs.push({type: 'hash', hash: this.hash});
+    for (let msg of msgs) {
+      ws.send(JSON.stringify(msg));
+    }
+  }
+
   handleSocketError(err) {
     if (err.code === 'ECONNRESET') {
       // This gets triggered on page refresh, ignore this
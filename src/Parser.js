@@ -1,6 +1,8 @@
 const path = require('path');
 const RawAsset = require('./assets/RawAsset');
 const GlobAsset = require('./assets/GlobAsset');
+const TextAsset = require('./assets/TextAsset');
+const splitQuery = require('./utils/splitQuery');
 const glob = require('glob');
 
 class Parser {
@@ -47,11 +49,21 @@ class Parser {
   }
 
   findParser(filename) {
-    if (glob.hasMagic(filename)) {
+    let {path: file, query} = splitQuery(filename);
+    if (glob.hasMagic(file)) {
       return GlobAsset;
     }
 
-    let extension = path.extname(filename);
+    // `?url` and `?inline` load any file as a raw asset, and `?raw` loads its contents as a string
+    if (query === 'url' || query === 'inline') {
+      return RawAsset;
+    }
+
+    if (query === 'raw') {
+      return TextAsset;
+    }
+
+    let extension = path.extname(file);
     let parser = this.extensions[extension] || RawAsset;
     if (typeof parser === 'string') {
       parser = this.extensions[extension] = require(parser);
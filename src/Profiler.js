@@ -0,0 +1,158 @@
+const path = require('path');
+const fs = require('./utils/fs');
+
+/**
+ * Records how long each phase of a build takes when profiling is enabled: the
+ * phases of processing each asset (in the workers), resolving dependencies and
+ * packaging each bundle. The timings of the workers are sent back with the
+ * processed assets and added to the profiler of the bundler.
+ */
+class Profiler {
+  constructor(enabled = false) {
+    this.enabled = enabled;
+    this.timings = [];
+  }
+
+  async time(phase, name, fn) {
+    if (!this.enabled) {
+      return await fn();
+    }
+
+    let start = Date.now();
+    let hrstart = process.hrtime();
+    try {
+      return await fn();
+    } finally {
+      let [s, ns] = process.hrtime(hrstart);
+      this.timings.push({
+        phase,
+        name,
+        start,
+        duration: s * 1e3 + ns / 1e6,
+        pid: process.pid
+      });
+    }
+  }
+
+  add(timings) {
+    if (this.enabled && timings) {
+      this.timings.push(...timings);
+    }
+  }
+
+  reset() {
+    this.timings = [];
+  }
+
+  /**
+   * Returns the assets that took the longest to build, with the time of each phase.
+   */
+  getSlowestAssets(count = 10) {
+    let assets = new Map();
+    let timings = this.timings.slice().sort((a, b) => a.start - b.start);
+
+    for (let {phase, name, start, duration} of timings) {
+      if (phase === 'package') {
+        continue;
+      }
+
+      if (!assets.has(name)) {
+        assets.set(name, {name, duration: 0, phases: {}, ends: {}});
+      }
+
+      // The dependencies of an asset are resolved concurrently, so only count the time they overlap once
+      let asset = assets.get(name);
+      let end = start + duration;
+      let lastEnd = asset.ends[phase] || 0;
+      let time = Math.max(0, end - Math.max(start, lastEnd));
+      asset.ends[phase] = Math.max(end, lastEnd);
+      asset.duration += time;
+      asset.phases[phase] = (asset.phases[phase] || 0) + time;
+    }
+
+    return Array.from(assets.values())
+      .map(({name, duration, phases}) => ({name, duration, phases}))
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, count);
+  }
+
+  /**
+   * Returns the timings in the Chrome trace event format, which can be opened
+   * in chrome://tracing or the performance panel of the devtools.
+   */
+  getTrace() {
+    let events = [];
+    let lanes = new Map();
+    let timings = this.timings.slice().sort((a, b) => a.start - b.start);
+
+    for (let timing of timings) {
+      // Phases of different assets run concurrently in each process, but the events
+      // of a thread must not overlap, so put each event in the first free lane.
+      if (!lanes.has(timing.pid)) {
+        lanes.set(timing.pid, []);
+        events.push({
+          name: 'process_name',
+          ph: 'M',
+          pid: timing.pid,
+          args: {
+            name: timing.pid === process.pid ? 'Parcel' : `Worker ${timing.pid}`
+          }
+        });
+      }
+
+      let ends = lanes.get(timing.pid);
+      let tid = ends.findIndex(end => end <= timing.start);
+      if (tid === -1) {
+        tid = ends.length;
+      }
+
+      ends[tid] = timing.start + timing.duration;
+      events.push({
+        name: `${timing.phase} ${timing.name}`,
+        cat: timing.phase,
+        ph: 'X',
+        ts: Math.round(timing.start * 1000),
+        dur: Math.round(timing.duration * 1000),
+        pid: timing.pid,
+        tid,
+        args: {name: timing.name}
+      });
+    }
+
+    return {traceEvents: events};
+  }
+
+  async report(logger, outDir) {
+    let slowest = this.getSlowestAssets();
+    if (slowest.length > 0) {
+      logger.log(logger.chalk.bold('Slowest assets:'));
+      for (let {name, duration, phases} of slowest) {
+        let details = Object.keys(phases)
+          .map(phase => `${phase} ${formatTime(phases[phase])}`)
+          .join(', ');
+
+        let time = formatTime(duration);
+        logger.log(
+          `  ${' '.repeat(
+            Math.max(0, 9 - time.length)
+          )}${time}  ${name} ${logger.chalk.gray(`(${details})`)}`
+        );
+      }
+    }
+
+    let filename = path.join(outDir, 'profile.json');
+    await fs.writeFile(filename, JSON.stringify(this.getTrace()));
+    logger.log(
+      `Wrote a trace of the build to ${path.relative(
+        process.cwd(),
+        filename
+      )}, which can be opened in chrome://tracing.`
+    );
+  }
+}
+
+function formatTime(ms) {
+  return ms < 1000 ? `${ms.toFixed(2)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+module.exports = Profiler;
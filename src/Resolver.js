@@ -1,24 +1,225 @@
 const promisify = require('./utils/promisify');
 const resolve = require('browser-resolve');
 const resolveAsync = promisify(resolve);
+const nodeResolve = require('resolve');
+const nodeResolveAsync = promisify(nodeResolve);
 const builtins = require('./builtins');
 const path = require('path');
 const glob = require('glob');
+const config = require('./utils/config');
+const resolveRootPath = require('./utils/resolveRootPath');
+const splitQuery = require('./utils/splitQuery');
+const fs = require('fs');
+const json5 = require('json5');
+
+// The modules of the Parcel runtime, which are bundled for every target
+const INTERNAL_MODULES = ['_bundle_loader', '_css_loader'];
+
+const TS_EXTENSIONS = ['.ts', '.tsx'];
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs'];
 
 class Resolver {
   constructor(options = {}) {
     this.options = options;
     this.cache = new Map();
+    this.aliases = this.loadAliases();
+    this.tsconfigs = new Map();
+  }
+
+  /**
+   * Loads the aliases of the project, from the `alias` field in package.json or
+   * from a .aliasrc file. Aliases map bare specifiers (e.g. `react`), path prefixes
+   * (e.g. `@app/*`) and files (e.g. `./src/config.js`) to other modules or paths.
+   * Paths are relative to the file they are configured in.
+   */
+  loadAliases() {
+    let aliases = [];
+    let {mainFile} = this.options;
+    if (!mainFile) {
+      return aliases;
+    }
+
+    // The config file takes precedence over package.json
+    let rc = config.loadSync(mainFile, ['.aliasrc', '.aliasrc.js']);
+    let pkg = config.loadSync(mainFile, ['package.json']);
+    let sources = [rc, pkg && {file: pkg.file, config: pkg.config.alias}];
+
+    for (let source of sources) {
+      if (!source || !source.config) {
+        continue;
+      }
+
+      let dir = path.dirname(source.file);
+      for (let key in source.config) {
+        let value = source.config[key];
+        if (typeof value !== 'string') {
+          continue;
+        }
+
+        let isPath = isPathSpecifier(key);
+        aliases.push({
+          key: isPath ? path.resolve(dir, key) : key,
+          value: isPathSpecifier(value) ? path.resolve(dir, value) : value,
+          isPath
+        });
+      }
+    }
+
+    return aliases;
+  }
+
+  resolveAlias(filename, parent) {
+    let request = filename;
+    if (isPathSpecifier(filename)) {
+      request = path.resolve(parent ? path.dirname(parent) : '', filename);
+    }
+
+    for (let {key, value, isPath} of this.aliases) {
+      if (isPath !== isPathSpecifier(filename)) {
+        continue;
+      }
+
+      // e.g. `@app/*` -> `./src/*`
+      if (key.endsWith('/*')) {
+        let prefix = key.slice(0, -1);
+        if (request.startsWith(prefix)) {
+          return value.replace('*', request.slice(prefix.length));
+        }
+
+        continue;
+      }
+
+      // Files can be required without their extension
+      if (request === key || (isPath && request === stripExtension(key))) {
+        return value;
+      }
+
+      // The alias of a package or directory applies to the files inside it too
+      let sep = isPath ? path.sep : '/';
+      if (request.startsWith(key + sep)) {
+        return value + request.slice(key.length);
+      }
+    }
+
+    return filename;
+  }
+
+  /**
+   * Loads the `baseUrl` and `paths` options of a tsconfig.json file, following `extends`.
+   * `baseUrl` is relative to the config that sets it, and `paths` are relative to
+   * `baseUrl`, or to the config that sets them if there is no `baseUrl`.
+   */
+  loadTsConfig(file) {
+    if (this.tsconfigs.has(file)) {
+      return this.tsconfigs.get(file);
+    }
+
+    let dir = path.dirname(file);
+    let tsconfig = json5.parse(fs.readFileSync(file, 'utf8'));
+    let options = {};
+    if (
+      typeof tsconfig.extends === 'string' &&
+      isPathSpecifier(tsconfig.extends)
+    ) {
+      let base = path.resolve(dir, tsconfig.extends);
+      options = Object.assign(
+        options,
+        this.loadTsConfig(path.extname(base) ? base : base + '.json')
+      );
+    }
+
+    let compilerOptions = tsconfig.compilerOptions || {};
+    if (compilerOptions.baseUrl) {
+      options.baseUrl = path.resolve(dir, compilerOptions.baseUrl);
+    }
+
+    if (compilerOptions.paths) {
+      options.paths = compilerOptions.paths;
+      options.pathsDir = dir;
+    }
+
+    if (typeof compilerOptions.allowJs === 'boolean') {
+      options.allowJs = compilerOptions.allowJs;
+    }
+
+    this.tsconfigs.set(file, options);
+    return options;
+  }
+
+  /**
+   * Maps a bare specifier to a file using the `baseUrl` and `paths` of the nearest
+   * tsconfig.json, the way tsc does. Applies to TypeScript files, and to JS files if
+   * the tsconfig allows JS. Returns null if the file should be resolved normally.
+   */
+  resolveTsConfigPaths(filename, parent, extensions) {
+    let ext = path.extname(parent || '');
+    if (
+      isPathSpecifier(filename) ||
+      !(TS_EXTENSIONS.includes(ext) || JS_EXTENSIONS.includes(ext))
+    ) {
+      return null;
+    }
+
+    let file = config.resolveSync(parent, ['tsconfig.json']);
+    let tsconfig = file ? this.loadTsConfig(file) : null;
+    if (!tsconfig || (!TS_EXTENSIONS.includes(ext) && !tsconfig.allowJs)) {
+      return null;
+    }
+
+    let candidates = [];
+    let pattern = tsconfig.paths && matchPattern(tsconfig.paths, filename);
+    if (pattern) {
+      // Try each of the substitutions in order, and use the first that exists
+      let base = tsconfig.baseUrl || tsconfig.pathsDir;
+      let index = pattern.indexOf('*');
+      let star =
+        index === -1
+          ? ''
+          : filename.slice(
+              index,
+              filename.length - (pattern.length - index - 1)
+            );
+
+      for (let substitution of tsconfig.paths[pattern]) {
+        candidates.push(path.resolve(base, substitution.replace('*', star)));
+      }
+    } else if (tsconfig.baseUrl) {
+      candidates.push(path.resolve(tsconfig.baseUrl, filename));
+    }
+
+    for (let candidate of candidates) {
+      let resolved = findFile(candidate, extensions);
+      if (resolved) {
+        return resolved;
+      }
+    }
+
+    // Fall back to node_modules, like tsc
+    return null;
   }
 
   async resolve(filename, parent) {
-    var resolved = await this.resolveInternal(filename, parent, resolveAsync);
-    return this.saveCache(filename, parent, resolved);
+    let {path: request, query} = splitQuery(filename);
+    var resolved = await this.resolveInternal(
+      request,
+      parent,
+      this.isBrowser() ? resolveAsync : nodeResolveAsync
+    );
+    return addQuery(this.saveCache(request, parent, resolved), query);
   }
 
   resolveSync(filename, parent) {
-    var resolved = this.resolveInternal(filename, parent, resolve.sync);
-    return this.saveCache(filename, parent, resolved);
+    let {path: request, query} = splitQuery(filename);
+    var resolved = this.resolveInternal(
+      request,
+      parent,
+      this.isBrowser() ? resolve.sync : nodeResolve.sync
+    );
+    return addQuery(this.saveCache(request, parent, resolved), query);
+  }
+
+  isBrowser() {
+    return !this.options.target || this.options.target === 'browser';
   }
 
   resolveInternal(filename, parent, resolver) {
@@ -27,6 +228,19 @@ class Resolver {
       return this.cache.get(key);
     }
 
+    // Imports starting with `/` are relative to the project root. Only the import itself
+    // is, since aliases resolve to absolute paths, which can be outside the project.
+    if (parent && filename.startsWith('/')) {
+      filename = resolveRootPath(filename, parent, this.options.rootDir);
+    }
+
+    filename = this.resolveAlias(filename, parent);
+
+    // Imports starting with `~` resolve through node_modules, e.g. `~pkg/file.css`
+    if (filename.startsWith('~') && !filename.startsWith('~/')) {
+      filename = filename.slice(1);
+    }
+
     if (glob.hasMagic(filename)) {
       return {path: path.resolve(path.dirname(parent), filename)};
     }
@@ -38,8 +252,25 @@ class Resolver {
       extensions = [parentExt, ...extensions.filter(ext => ext !== parentExt)];
     }
 
+    filename =
+      this.resolveTsConfigPaths(filename, parent, extensions) || filename;
+
+    // Node and Electron provide the built-in modules, so only the modules of the
+    // Parcel runtime are substituted, and packages are resolved by their "main" field.
+    let isBrowser = this.isBrowser();
+    if (!isBrowser) {
+      if (INTERNAL_MODULES.includes(filename)) {
+        return builtins[filename];
+      }
+
+      if (this.options.target === 'electron' && filename === 'electron') {
+        return filename;
+      }
+    }
+
     return resolver(filename, {
       filename: parent,
+      basedir: path.dirname(parent || ''),
       paths: this.options.paths,
       modules: builtins,
       extensions: extensions,
@@ -53,7 +284,7 @@ class Resolver {
           entry => typeof entry === 'string'
         );
 
-        if (main) {
+        if (main && isBrowser) {
           pkg.main = main;
         }
 
@@ -78,4 +309,75 @@ class Resolver {
   }
 }
 
+/**
+ * Returns the pattern of tsconfig `paths` that matches the specifier. Exact matches
+ * win, then the wildcard pattern with the longest prefix.
+ */
+function matchPattern(paths, specifier) {
+  if (Array.isArray(paths[specifier])) {
+    return specifier;
+  }
+
+  let best = null;
+  for (let pattern in paths) {
+    let index = pattern.indexOf('*');
+    if (index === -1 || !Array.isArray(paths[pattern])) {
+      continue;
+    }
+
+    let prefix = pattern.slice(0, index);
+    let suffix = pattern.slice(index + 1);
+    if (
+      specifier.length >= prefix.length + suffix.length &&
+      specifier.startsWith(prefix) &&
+      specifier.endsWith(suffix) &&
+      (!best || prefix.length > best.indexOf('*'))
+    ) {
+      best = pattern;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Finds the file a path refers to: the file itself, the file with one of
+ * the extensions, or the index file of a directory.
+ */
+function findFile(file, extensions) {
+  let candidates = [file]
+    .concat(extensions.map(ext => file + ext))
+    .concat(extensions.map(ext => path.join(file, 'index' + ext)));
+
+  return (
+    candidates.find(candidate => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (err) {
+        return false;
+      }
+    }) || null
+  );
+}
+
+/**
+ * Adds the import query back to the resolved path, e.g. `./logo.svg?url`,
+ * so the file is loaded as a separate asset. The file is resolved without it.
+ */
+function addQuery(resolved, query) {
+  if (!query) {
+    return resolved;
+  }
+
+  return Object.assign({}, resolved, {path: resolved.path + '?' + query});
+}
+
+function stripExtension(file) {
+  return path.join(path.dirname(file), path.basename(file, path.extname(file)));
+}
+
+function isPathSpecifier(specifier) {
+  return /^(\.{1,2}(\/|\\|$)|\/|[a-zA-Z]:)/.test(specifier);
+}
+
 module.exports = Resolver;
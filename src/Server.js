@@ -1,14 +1,32 @@
 const http = require('http');
 const https = require('https');
+const path = require('path');
+const url = require('url');
 const serveStatic = require('serve-static');
 const getPort = require('get-port');
 const serverErrors = require('./utils/customErrors').serverErrors;
 const generateCertificate = require('./utils/generateCertificate');
+const openInEditor = require('./utils/openInEditor');
+const {
+  loadProxyRules,
+  findProxyRule,
+  proxyRequest,
+  proxyUpgrade
+} = require('./utils/proxy');
 
-function middleware(bundler) {
+// Opens a file in the editor, from the error overlay of the HMR runtime
+const LAUNCH_EDITOR_PATH = '/__parcel_launch_editor';
+
+function middleware(bundler, proxyRules = loadProxyRules(bundler)) {
   const serve = serveStatic(bundler.options.outDir, {index: false});
 
   return function(req, res, next) {
+    // Forward the requests of the proxy rules, e.g. to a backend API, before anything else
+    let rule = findProxyRule(proxyRules, req.url);
+    if (rule) {
+      return proxyRequest(rule, req, res, send502);
+    }
+
     // Wait for the bundler to finish bundling if needed
     if (bundler.pending) {
       bundler.once('bundled', respond);
@@ -17,7 +35,10 @@ function middleware(bundler) {
     }
 
     function respond() {
-      if (bundler.errored) {
+      if (url.parse(req.url).pathname === LAUNCH_EDITOR_PATH) {
+        // Build errors are opened from the error overlay, so this works while the bundler errored
+        return launchEditor();
+      } else if (bundler.errored) {
         return send500();
       } else if (!req.url.startsWith(bundler.options.publicURL)) {
         // If the URL doesn't start with the public path, send the main HTML bundle
@@ -30,15 +51,67 @@ function middleware(bundler) {
     }
 
     function sendIndex() {
-      // If the main asset is an HTML file, serve it
-      if (bundler.mainAsset.type === 'html') {
-        req.url = `/${bundler.mainAsset.generateBundleName()}`;
+      // If one of the entry points is an HTML file, serve it
+      let entry = findHTMLEntry(bundler, req.url);
+      if (entry) {
+        req.url = `/${entry.generateBundleName().replace(/\\/g, '/')}`;
         serve(req, res, send404);
       } else {
         send404();
       }
     }
 
+    function launchEditor() {
+      // Only the pages of the dev server can open the editor, not a link or an image on
+      // any other page. Browsers send the origin of cross-origin POST requests.
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        res.writeHead(405);
+        return res.end();
+      }
+
+      let origin = req.headers.origin;
+      if (origin && url.parse(origin).host !== req.headers.host) {
+        res.writeHead(403);
+        return res.end();
+      }
+
+      let {file, line, column} = url.parse(req.url, true).query;
+
+      // Only the files of the project can be opened
+      if (!file || bundler.getAssetsOfFile(file).length === 0) {
+        return send404();
+      }
+
+      let editor = openInEditor(file, +line || 1, +column || 1);
+      if (!editor) {
+        bundler.logger.warn(
+          `Could not open ${file}: set PARCEL_EDITOR to the command of your editor, e.g. code`
+        );
+        res.writeHead(501);
+        return res.end();
+      }
+
+      editor.on('error', err => {
+        bundler.logger.warn(
+          `Could not open ${file} in the editor: ${err.message}`
+        );
+      });
+
+      res.writeHead(200);
+      res.end();
+    }
+
+    function send502(err) {
+      bundler.logger.warn(`Could not proxy ${req.url}: ${err.message}`);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+
+      res.writeHead(502);
+      res.end();
+    }
+
     function send500() {
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
       res.writeHead(500);
@@ -56,12 +129,51 @@ function middleware(bundler) {
   };
 }
 
+/**
+ * Finds the HTML entry point matching the requested path, e.g. `/admin` or
+ * `/admin.html` for `admin.html`, and `/admin/` for `admin/index.html`.
+ * Falls back to the first HTML entry point, so client side routing works.
+ */
+function findHTMLEntry(bundler, reqURL) {
+  let entries = Array.from(bundler.entryAssets || []).filter(
+    asset => asset.type === 'html'
+  );
+
+  let name = decodeURIComponent(url.parse(reqURL).pathname)
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/\.html$/, '');
+
+  let entry = entries.find(asset => {
+    let bundleName = asset
+      .generateBundleName()
+      .replace(/\\/g, '/')
+      .replace(/\.html$/, '');
+
+    return bundleName === name || bundleName === path.posix.join(name, 'index');
+  });
+
+  return entry || entries[0];
+}
+
 async function serve(bundler, port, useHTTPS = false) {
-  let handler = middleware(bundler);
+  let proxyRules = loadProxyRules(bundler);
+  let handler = middleware(bundler, proxyRules);
   let server = useHTTPS
     ? https.createServer(generateCertificate(bundler.options), handler)
     : http.createServer(handler);
 
+  // Websockets are forwarded by the proxy rules too, and the others connect to HMR
+  server.on('upgrade', (req, socket, head) => {
+    let rule = findProxyRule(proxyRules, req.url);
+    if (rule) {
+      proxyUpgrade(rule, req, socket, head);
+    } else if (bundler.hmr) {
+      bundler.hmr.handleUpgrade(req, socket, head);
+    } else {
+      socket.destroy();
+    }
+  });
+
   let freePort = await getPort({port});
   server.listen(freePort);
 
@@ -0,0 +1,163 @@
+const {SourceMapConsumer, SourceMapGenerator} = require('source-map');
+const lineCounter = require('./utils/lineCounter');
+
+/**
+ * A SourceMap holds a flat list of mappings from generated to original positions,
+ * along with the contents of the original sources. Maps produced by the various
+ * compilers (babel, uglify, typescript, etc.) can be added with an offset, so the
+ * packagers can merge the maps of each asset into a single map for the bundle.
+ * When serialized (e.g. sent from a worker or written to the cache), a SourceMap
+ * becomes a regular v3 source map.
+ */
+class SourceMap {
+  constructor(mappings = [], sources = {}) {
+    this.mappings = mappings;
+    this.sources = sources;
+  }
+
+  addMap(map, lineOffset = 0, columnOffset = 0) {
+    if (map instanceof SourceMap) {
+      for (let mapping of map.mappings) {
+        this.addMapping(mapping, lineOffset, columnOffset);
+      }
+
+      Object.assign(this.sources, map.sources);
+      return this;
+    }
+
+    let consumer = new SourceMapConsumer(map);
+    consumer.eachMapping(mapping => {
+      if (mapping.source == null || mapping.originalLine == null) {
+        return;
+      }
+
+      this.addMapping(
+        {
+          source: mapping.source,
+          name: mapping.name,
+          original: {
+            line: mapping.originalLine,
+            column: mapping.originalColumn
+          },
+          generated: {
+            line: mapping.generatedLine,
+            column: mapping.generatedColumn
+          }
+        },
+        lineOffset,
+        columnOffset
+      );
+    });
+
+    for (let source of consumer.sources) {
+      let content = consumer.sourceContentFor(source, true);
+      if (content != null) {
+        this.sources[source] = content;
+      }
+    }
+
+    return this;
+  }
+
+  addMapping(mapping, lineOffset = 0, columnOffset = 0) {
+    let generated = mapping.generated;
+    this.mappings.push({
+      source: mapping.source,
+      name: mapping.name,
+      original: mapping.original,
+      generated: {
+        line: generated.line + lineOffset,
+        // The column offset only applies to the first line of the added map
+        column: generated.column + (generated.line === 1 ? columnOffset : 0)
+      }
+    });
+  }
+
+  /**
+   * Maps the original positions of `extension` (e.g. babel output, which maps
+   * back to compiled TypeScript) through `original` (e.g. the TypeScript map),
+   * so the result points directly at the original source.
+   */
+  extendSourceMap(original, extension) {
+    if (!(original instanceof SourceMap)) {
+      original = new SourceMap().addMap(original);
+    }
+
+    if (!(extension instanceof SourceMap)) {
+      extension = new SourceMap().addMap(extension);
+    }
+
+    let consumer = new SourceMapConsumer(original.toJSON());
+    for (let mapping of extension.mappings) {
+      let position = consumer.originalPositionFor(mapping.original);
+      if (position.source == null) {
+        continue;
+      }
+
+      this.mappings.push({
+        source: position.source,
+        name: position.name || mapping.name,
+        original: {
+          line: position.line,
+          column: position.column
+        },
+        generated: mapping.generated
+      });
+    }
+
+    Object.assign(this.sources, original.sources);
+    return this;
+  }
+
+  offset(lineOffset = 0, columnOffset = 0) {
+    let mappings = this.mappings;
+    this.mappings = [];
+    for (let mapping of mappings) {
+      this.addMapping(mapping, lineOffset, columnOffset);
+    }
+
+    return this;
+  }
+
+  /**
+   * Generates a map where every line of the generated code maps to the same
+   * line of the source. Used when the output is the unmodified source.
+   */
+  generateEmptyMap(sourceName, sourceContent) {
+    this.sources[sourceName] = sourceContent;
+
+    let lines = lineCounter(sourceContent);
+    for (let line = 1; line <= lines; line++) {
+      this.mappings.push({
+        source: sourceName,
+        original: {line, column: 0},
+        generated: {line, column: 0}
+      });
+    }
+
+    return this;
+  }
+
+  getGenerator(file, sourceRoot) {
+    let generator = new SourceMapGenerator({file, sourceRoot});
+    for (let mapping of this.mappings) {
+      generator.addMapping(mapping);
+    }
+
+    for (let source in this.sources) {
+      generator.setSourceContent(source, this.sources[source]);
+    }
+
+    return generator;
+  }
+
+  toJSON() {
+    return this.getGenerator().toJSON();
+  }
+
+  stringify(file, sourceRoot) {
+    return this.getGenerator(file, sourceRoot).toString();
+  }
+}
+
+module.exports = SourceMap;
@@ -3,10 +3,13 @@ const postcss = require('postcss');
 const valueParser = require('postcss-value-parser');
 const postcssTransform = require('../transforms/postcss');
 const CssSyntaxError = require('postcss/lib/css-syntax-error');
+const SourceMap = require('../SourceMap');
+const path = require('path');
 
 const URL_RE = /url\s*\("?(?![a-z]+:)/;
 const IMPORT_RE = /@import/;
 const PROTOCOL_RE = /^[a-z]+:/;
+const MAP_OPTIONS = {inline: false, annotation: false, sourcesContent: true};
 
 class CSSAsset extends Asset {
   constructor(name, pkg, options) {
@@ -99,6 +102,7 @@ class CSSAsset extends Asset {
 
   generate() {
     let css = this.ast ? this.ast.render() : this.contents;
+    let map = this.options.sourceMaps ? this.generateSourceMap() : null;
 
     let js = '';
     if (this.options.hmr) {
@@ -116,7 +120,49 @@ class CSSAsset extends Asset {
         'module.exports = ' + JSON.stringify(this.cssModules, false, 2) + ';';
     }
 
-    return {css, js};
+    return {css, js, map};
+  }
+
+  generateSourceMap() {
+    // Preprocessor output that wasn't transformed by postcss
+    if (this.ast && !(this.ast instanceof CSSAst)) {
+      return this.sourceMap;
+    }
+
+    if (!this.ast) {
+      return new SourceMap().generateEmptyMap(this.relativeName, this.contents);
+    }
+
+    let map = this.ast.map;
+    if (!map) {
+      map = this.ast.root
+        .toResult({to: this.name, map: MAP_OPTIONS})
+        .map.toJSON();
+    }
+
+    map = this.normalizeSourceMap(map);
+
+    // The CSS was compiled from another language (e.g. SASS). Map back to the original source.
+    if (this.sourceMap) {
+      map = new SourceMap().extendSourceMap(this.sourceMap, map);
+    }
+
+    return map;
+  }
+
+  /**
+   * Makes the sources of a map produced by postcss or a preprocessor relative
+   * to the project root, like the rest of the maps in the bundle. Sources are
+   * resolved from `from`, which defaults to the directory of the asset.
+   */
+  normalizeSourceMap(map, from = path.dirname(this.name)) {
+    map.sources = map.sources.map(source =>
+      path
+        .relative(this.options.rootDir, path.resolve(from, source))
+        .replace(/\\/g, '/')
+    );
+
+    return map;
   }
 
   generateErrorMessage(err) {
@@ -150,6 +196,7 @@ class CSSAst {
     this.css = css;
     this.root = root;
     this.dirty = false;
+    this.map = null;
   }
 
   render() {
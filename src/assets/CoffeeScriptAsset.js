@@ -7,7 +7,21 @@ class CoffeeScriptAsset extends JSAsset {
     let coffee = await localRequire('coffeescript', this.name);
 
     // Transpile Module using CoffeeScript and parse result as ast format through babylon
-    this.contents = coffee.compile(code, {});
+    let transpiled = coffee.compile(code, {
+      sourceMap: this.options.sourceMaps
+    });
+
+    if (transpiled.sourceMap) {
+      this.contents = transpiled.js;
+      this.sourceMap = transpiled.sourceMap.generate({
+        sourceFiles: [this.relativeName],
+        sourceRoot: ''
+      });
+      this.sourceMap.sourcesContent = [code];
+    } else {
+      this.contents = transpiled;
+    }
+
     return await super.parse(this.contents);
   }
 }
@@ -7,10 +7,11 @@ const Asset = require('../Asset');
 const babylon = require('babylon');
 const insertGlobals = require('../visitors/globals');
 const fsVisitor = require('../visitors/fs');
+const hoist = require('../visitors/hoist');
 const babel = require('../transforms/babel');
 const generate = require('babel-generator').default;
 const uglify = require('../transforms/uglify');
-const config = require('../utils/config');
+const SourceMap = require('../SourceMap');
 
 const IMPORT_RE = /\b(?:import\b|export\b|require\s*\()/;
 const GLOBAL_RE = /\b(?:process|__dirname|__filename|global|Buffer)\b/;
@@ -25,7 +26,10 @@ class JSAsset extends Asset {
     this.globals = new Map();
     this.isAstDirty = false;
     this.isES6Module = false;
+    // The names exported by an ES module, and the modules it re-exports everything from
+    this.exports = {names: [], all: []};
     this.outputCode = null;
+    this.hoist = null;
   }
 
   mightHaveDependencies() {
@@ -53,9 +57,9 @@ class JSAsset extends Asset {
     };
 
     // Check if there is a babel config file. If so, determine which parser plugins to enable
-    this.babelConfig =
-      (this.package && this.package.babel) ||
-      (await config.load(this.name, ['.babelrc', '.babelrc.js']));
+    this.babelConfig = await this.getConfig(['.babelrc', '.babelrc.js'], {
+      packageKey: 'babel'
+    });
     if (this.babelConfig) {
       const file = new BabelFile({filename: this.name});
       options.plugins.push(...file.parserOpts.plugins);
@@ -87,36 +91,77 @@ class JSAsset extends Asset {
   }
 
   async transform() {
-    if (this.dependencies.has('fs') && FS_RE.test(this.contents)) {
+    // Node and Electron provide fs and the node globals at runtime
+    let isBrowser = this.options.target === 'browser';
+    if (isBrowser && this.dependencies.has('fs') && FS_RE.test(this.contents)) {
       await this.parseIfNeeded();
       this.traverse(fsVisitor);
     }
 
-    if (GLOBAL_RE.test(this.contents)) {
+    if (isBrowser && GLOBAL_RE.test(this.contents)) {
       await this.parseIfNeeded();
       walk.ancestor(this.ast, insertGlobals, this);
     }
 
     if (this.isES6Module) {
-      await babel(this);
+      // Try to hoist the module into the bundle's scope. Otherwise, fall back to CommonJS.
+      if (this.options.scopeHoist) {
+        await this.parseIfNeeded();
+        this.traverse(hoist);
+      }
+
+      if (!this.hoist) {
+        await babel(this);
+      }
     }
 
-    if (this.options.minify) {
+    // With scope hoisting, the whole bundle is minified by the packager instead
+    if (this.options.minify && !this.options.scopeHoist) {
       await uglify(this);
     }
   }
 
   generate() {
-    // TODO: source maps
-    let code = this.isAstDirty
-      ? generate(this.ast).code
-      : this.outputCode || this.contents;
+    let code, map;
+    if (this.isAstDirty) {
+      let generated = generate(
+        this.ast,
+        {
+          sourceMaps: this.options.sourceMaps,
+          sourceFileName: this.relativeName
+        },
+        this.contents
+      );
+
+      code = generated.code;
+      map = generated.map;
+
+      // If the contents were compiled from another language (e.g. TypeScript),
+      // map the babel output back to the original source.
+      if (map && this.sourceMap) {
+        map = new SourceMap().extendSourceMap(this.sourceMap, map);
+      }
+    } else {
+      code = this.outputCode || this.contents;
+      map = this.sourceMap;
+    }
+
+    if (this.options.sourceMaps && !map) {
+      map = new SourceMap().generateEmptyMap(this.relativeName, this.contents);
+    }
+
     if (this.globals.size > 0) {
       code = Array.from(this.globals.values()).join('\n') + '\n' + code;
+      if (map) {
+        map = new SourceMap().addMap(map, this.globals.size);
+      }
     }
 
     return {
-      js: code
+      js: code,
+      map,
+      hoist: this.hoist,
+      exports: this.isES6Module ? this.exports : null
     };
   }
 
@@ -1,7 +1,7 @@
 const CSSAsset = require('./CSSAsset');
-const config = require('../utils/config');
 const localRequire = require('../utils/localRequire');
 const promisify = require('../utils/promisify');
+const path = require('path');
 
 class LESSAsset extends CSSAsset {
   async parse(code) {
@@ -10,14 +10,25 @@ class LESSAsset extends CSSAsset {
     let render = promisify(less.render.bind(less));
 
     let opts =
-      this.package.less ||
-      (await config.load(this.name, ['.lessrc', '.lessrc.js'])) ||
+      (await this.getConfig(['.lessrc', '.lessrc.js'], {packageKey: 'less'})) ||
       {};
     opts.filename = this.name;
-    opts.plugins = (opts.plugins || []).concat(urlPlugin(this));
+    opts.plugins = (opts.plugins || []).concat(
+      urlPlugin(this),
+      importPlugin(this)
+    );
+
+    if (this.options.sourceMaps) {
+      opts.sourceMap = {outputSourceFiles: true};
+    }
 
     let res = await render(code, opts);
     res.render = () => res.css;
+
+    if (res.map) {
+      this.sourceMap = this.normalizeSourceMap(JSON.parse(res.map));
+    }
+
     return res;
   }
 
@@ -47,4 +58,28 @@ function urlPlugin(asset) {
   };
 }
 
+// Resolves imports relative to the project root (`/file`) and through node_modules (`~pkg/file`)
+function importPlugin(asset) {
+  return {
+    install: (less, pluginManager) => {
+      class ParcelFileManager extends less.FileManager {
+        supports(filename) {
+          return filename.startsWith('/') || filename.startsWith('~');
+        }
+
+        loadFile(filename, currentDirectory, ...args) {
+          let from = path.join(currentDirectory, 'index.less');
+          return super.loadFile(
+            asset.resolveURL(filename, from),
+            currentDirectory,
+            ...args
+          );
+        }
+      }
+
+      pluginManager.addFileManager(new ParcelFileManager());
+    }
+  };
+}
+
 module.exports = LESSAsset;
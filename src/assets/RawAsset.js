@@ -1,11 +1,60 @@
 const Asset = require('../Asset');
+const path = require('path');
 const urlJoin = require('../utils/urlJoin');
+const md5 = require('../utils/md5');
+const fs = require('../utils/fs');
+
+// The types of the raw assets that can be inlined as data URIs, i.e. images and fonts
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  eot: 'application/vnd.ms-fontobject'
+};
+
+// The types of the other files that can be inlined with `?inline`
+const INLINE_MIME_TYPES = {
+  css: 'text/css',
+  js: 'text/javascript',
+  json: 'application/json',
+  html: 'text/html',
+  txt: 'text/plain'
+};
 
 class RawAsset extends Asset {
+  constructor(name, pkg, options) {
+    super(name, pkg, options);
+
+    // Files imported with `?url` or `?inline` are copied as is, even JS and CSS files, so
+    // they go in a raw bundle rather than being packaged with the other assets of their type
+    if (this.query === 'url' || this.query === 'inline') {
+      this.type = 'raw';
+    }
+  }
+
   // Don't load raw assets. They will be copied by the RawPackager directly.
   load() {}
 
-  generate() {
+  async generate() {
+    // Inlined assets are not emitted. The packagers replace the references to them
+    // with the data URI instead, like content hashed bundle names.
+    let dataURI = await this.getDataURI();
+    if (dataURI) {
+      return {
+        js: `module.exports=${JSON.stringify(dataURI)};`,
+        dataURI
+      };
+    }
+
     const pathToAsset = urlJoin(
       this.options.publicURL,
       this.generateBundleName()
@@ -15,6 +64,79 @@ class RawAsset extends Asset {
       js: `module.exports=${JSON.stringify(pathToAsset)};`
     };
   }
+
+  /**
+   * Inlines images and fonts smaller than the `inlineMaxSize` option, so tiny files
+   * like icons don't cost a request each, and files imported with `?inline`. SVGs are
+   * URL encoded, which is smaller than base64 for text, and other files are base64 encoded.
+   */
+  async getDataURI() {
+    let mimeType =
+      MIME_TYPES[this.extension] ||
+      (this.query === 'inline' ? INLINE_MIME_TYPES[this.extension] : null);
+
+    // `?inline` imports are always inlined, and `?url` imports never are
+    if (this.query !== 'inline') {
+      if (
+        !mimeType ||
+        this.query === 'url' ||
+        !(this.options.inlineMaxSize > 0) ||
+        this.options.entryFiles.includes(this.key)
+      ) {
+        return null;
+      }
+
+      let stats = await fs.stat(this.name);
+      if (stats.size >= this.options.inlineMaxSize) {
+        return null;
+      }
+    }
+
+    let contents = await fs.readFile(this.name);
+    if (mimeType === 'image/svg+xml') {
+      return `data:${mimeType},${encodeSVG(contents.toString())}`;
+    }
+
+    return `data:${mimeType ||
+      'application/octet-stream'};base64,${contents.toString('base64')}`;
+  }
+
+  get extension() {
+    return path
+      .extname(this.name)
+      .slice(1)
+      .toLowerCase();
+  }
+
+  generateBundleName() {
+    // Raw bundles keep the extension of the file, e.g. `.js` for `./worker.js?url`
+    if (this.type === 'raw') {
+      return md5(this.key) + path.extname(this.name);
+    }
+
+    return super.generateBundleName();
+  }
+
+  async generateHash() {
+    // Hash the file contents, since the generated code only contains its URL
+    return md5(await fs.readFile(this.name));
+  }
+}
+
+/**
+ * URL encodes an SVG for a data URI. Quotes and parentheses are encoded too,
+ * so the data URI can be used in unquoted CSS url() and in HTML attributes.
+ */
+function encodeSVG(svg) {
+  return encodeURIComponent(svg.trim()).replace(
+    /['()]/g,
+    char =>
+      '%' +
+      char
+        .charCodeAt(0)
+        .toString(16)
+        .toUpperCase()
+  );
 }
 
 module.exports = RawAsset;
@@ -1,6 +1,8 @@
 const JSAsset = require('./JSAsset');
 const fs = require('../utils/fs');
 const localRequire = require('../utils/localRequire');
+const SourceMap = require('../SourceMap');
+const path = require('path');
 
 class ReasonAsset extends JSAsset {
   async parse() {
@@ -20,6 +22,16 @@ class ReasonAsset extends JSAsset {
     const outputContent = await fs.readFile(outputFile);
     this.contents = outputContent.toString();
 
+    // BuckleScript doesn't produce source maps, so map to the compiled output instead.
+    if (this.options.sourceMaps) {
+      this.sourceMap = new SourceMap().generateEmptyMap(
+        path
+          .relative(this.options.rootDir || '', outputFile)
+          .replace(/\\/g, '/'),
+        this.contents
+      );
+    }
+
     // After loading the compiled JS source, use the normal JS behavior.
     return await super.parse(this.contents);
   }
@@ -1,5 +1,4 @@
 const CSSAsset = require('./CSSAsset');
-const config = require('../utils/config');
 const localRequire = require('../utils/localRequire');
 const promisify = require('../utils/promisify');
 const path = require('path');
@@ -11,8 +10,7 @@ class SASSAsset extends CSSAsset {
     let render = promisify(sass.render.bind(sass));
 
     let opts =
-      this.package.sass ||
-      (await config.load(this.name, ['.sassrc', '.sassrc.js'])) ||
+      (await this.getConfig(['.sassrc', '.sassrc.js'], {packageKey: 'sass'})) ||
       {};
     opts.includePaths = (opts.includePaths || []).concat(
       path.dirname(this.name)
@@ -30,8 +28,45 @@ class SASSAsset extends CSSAsset {
       }
     });
 
+    // Resolve imports relative to the project root (`/file`) and through node_modules (`~pkg/file`)
+    opts.importer = [
+      (url, prev) => {
+        if (!url.startsWith('/') && !url.startsWith('~')) {
+          return null;
+        }
+
+        try {
+          let from = prev === 'stdin' ? this.name : prev;
+          return {file: this.resolveURL(url, from)};
+        } catch (err) {
+          return err;
+        }
+      }
+    ].concat(opts.importer || []);
+
+    if (this.options.sourceMaps) {
+      // Sources in the map are relative to the output file
+      opts.sourceMap = true;
+      opts.outFile = this.name;
+      opts.omitSourceMapUrl = true;
+      opts.sourceMapContents = true;
+    }
+
     let res = await render(opts);
     res.render = () => res.css.toString();
+
+    if (res.map) {
+      let map = this.normalizeSourceMap(JSON.parse(res.map.toString()));
+
+      // The entry file is passed as data, so node-sass calls it "stdin"
+      map.sources = map.sources.map(
+        source =>
+          path.basename(source) === 'stdin' ? this.relativeName : source
+      );
+
+      this.sourceMap = map;
+    }
+
     return res;
   }
 
@@ -1,7 +1,8 @@
 const CSSAsset = require('./CSSAsset');
-const config = require('../utils/config');
 const localRequire = require('../utils/localRequire');
 const Resolver = require('../Resolver');
+const fs = require('fs');
+const path = require('path');
 
 const URL_RE = /^(?:url\s*\(\s*)?['"]?(?:[#/]|(?:https?:)?\/\/)/i;
 
@@ -9,14 +10,29 @@ class StylusAsset extends CSSAsset {
   async parse(code) {
     // stylus should be installed locally in the module that's being required
     let stylus = await localRequire('stylus', this.name);
-    let opts =
-      this.package.stylus ||
-      (await config.load(this.name, ['.stylusrc', '.stylusrc.js']));
+    let opts = await this.getConfig(['.stylusrc', '.stylusrc.js'], {
+      packageKey: 'stylus'
+    });
     let style = stylus(code, opts);
     style.set('filename', this.name);
     style.set('include css', true);
     style.set('Evaluator', await createEvaluator(this));
 
+    if (this.options.sourceMaps) {
+      style.set('sourcemap', {comment: false, inline: false});
+
+      // Stylus only generates the map while rendering, so pick it up from there.
+      let render = style.render;
+      style.render = (...args) => {
+        let css = render.apply(style, args);
+        this.sourceMap = this.normalizeSourceMap(style.sourcemap, '.');
+        this.sourceMap.sourcesContent = this.sourceMap.sources.map(source =>
+          fs.readFileSync(path.resolve(this.options.rootDir, source), 'utf8')
+        );
+        return css;
+      };
+    }
+
     // Setup a handler for the URL function so we add dependencies for linked assets.
     style.define('url', node => {
       let filename = this.addURLDependency(node.val, node.filename);
@@ -0,0 +1,24 @@
+const Asset = require('../Asset');
+
+/**
+ * Loads the contents of a file as a string, for `?raw` imports,
+ * e.g. `import shader from './shader.glsl?raw'`.
+ */
+class TextAsset extends Asset {
+  constructor(name, pkg, options) {
+    super(name, pkg, options);
+    this.type = 'js';
+  }
+
+  mightHaveDependencies() {
+    return false;
+  }
+
+  generate() {
+    return {
+      js: `module.exports=${JSON.stringify(this.contents)};`
+    };
+  }
+}
+
+module.exports = TextAsset;
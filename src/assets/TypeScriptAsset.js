@@ -1,7 +1,8 @@
 const JSAsset = require('./JSAsset');
-const config = require('../utils/config');
 const localRequire = require('../utils/localRequire');
 
+const SOURCE_MAP_RE = /\n\/\/# sourceMappingURL=.*$/;
+
 class TypeScriptAsset extends JSAsset {
   async parse(code) {
     // require typescript, installed locally in the app
@@ -14,7 +15,7 @@ class TypeScriptAsset extends JSAsset {
       fileName: this.basename
     };
 
-    let tsconfig = await config.load(this.name, ['tsconfig.json']);
+    let tsconfig = await this.getConfig(['tsconfig.json']);
 
     // Overwrite default if config is found
     if (tsconfig) {
@@ -24,12 +25,22 @@ class TypeScriptAsset extends JSAsset {
       );
     }
     transpilerOptions.compilerOptions.noEmit = false;
+    transpilerOptions.compilerOptions.sourceMap = this.options.sourceMaps;
+    transpilerOptions.compilerOptions.inlineSourceMap = false;
+    transpilerOptions.compilerOptions.inlineSources = false;
 
     // Transpile Module using TypeScript and parse result as ast format through babylon
-    this.contents = typescript.transpileModule(
-      code,
-      transpilerOptions
-    ).outputText;
+    let transpiled = typescript.transpileModule(code, transpilerOptions);
+    this.contents = transpiled.outputText;
+
+    if (transpiled.sourceMapText) {
+      // Remove the source map comment, we generate our own for the bundle
+      this.contents = this.contents.replace(SOURCE_MAP_RE, '');
+      this.sourceMap = JSON.parse(transpiled.sourceMapText);
+      this.sourceMap.sources = [this.relativeName];
+      this.sourceMap.sourcesContent = [code];
+    }
+
     return await super.parse(this.contents);
   }
 }
@@ -8,7 +8,7 @@ function loadBundles(bundles) {
   } catch (err) {
     if (err.code === 'MODULE_NOT_FOUND') {
       return new LazyPromise(function (resolve, reject) {
-        Promise.all(bundles.slice(0, -1).map(loadBundle)).then(function () {
+        loadBundleGroup(bundles.slice(0, -1)).then(function () {
           return require(id);
         }).then(resolve, reject);
       });
@@ -18,7 +18,36 @@ function loadBundles(bundles) {
   }
 }
 
+function prefetchBundles(bundles) {
+  // The bundles are only listed if the module is in another bundle
+  if (!Array.isArray(bundles) || typeof document === 'undefined') {
+    return;
+  }
+
+  bundles.slice(0, -1).forEach(prefetchBundle);
+}
+
+function loadBundleGroup(bundles) {
+  // Shared bundles are listed before the JS bundle that uses them, and must be executed
+  // first, so it is only loaded once they are. Other bundles are loaded in parallel.
+  var jsBundles = bundles.filter(function (bundle) {
+    return /\.js$/i.test(bundle);
+  });
+
+  if (jsBundles.length < 2) {
+    return Promise.all(bundles.map(loadBundle));
+  }
+
+  var child = jsBundles[jsBundles.length - 1];
+  return Promise.all(bundles.filter(function (bundle) {
+    return bundle !== child;
+  }).map(loadBundle)).then(function () {
+    return loadBundle(child);
+  });
+}
+
 module.exports = exports = loadBundles;
+exports.prefetch = prefetchBundles;
 
 var bundles = {};
 var bundleLoaders = {
@@ -31,13 +60,34 @@ function loadBundle(bundle) {
     return bundles[bundle];
   }
 
-  var type = bundle.match(/\.(.+)$/)[1].toLowerCase();
+  var type = bundle.match(/\.([^.]+)$/)[1].toLowerCase();
   var bundleLoader = bundleLoaders[type];
   if (bundleLoader) {
     return bundles[bundle] = bundleLoader(getBundleURL() + bundle);
   }
 }
 
+var prefetched = {};
+var prefetchTypes = {
+  js: 'script',
+  css: 'style'
+};
+
+function prefetchBundle(bundle) {
+  if (bundles[bundle] || prefetched[bundle]) {
+    return;
+  }
+
+  var type = bundle.match(/\.([^.]+)$/)[1].toLowerCase();
+  var link = document.createElement('link');
+  link.rel = 'prefetch';
+  link.as = prefetchTypes[type];
+  link.href = getBundleURL() + bundle;
+
+  document.getElementsByTagName('head')[0].appendChild(link);
+  prefetched[bundle] = true;
+}
+
 function loadJSBundle(bundle) {
   return new Promise(function (resolve, reject) {
     var script = document.createElement('script');
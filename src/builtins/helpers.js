@@ -0,0 +1,32 @@
+/* eslint-disable no-unused-vars */
+
+// Helpers used to link ES modules concatenated by scope hoisting
+
+function $parcel$interopDefault(a) {
+  return a && a.__esModule ? a.default : a;
+}
+
+function $parcel$defineInteropFlag(a) {
+  Object.defineProperty(a, '__esModule', {value: true});
+}
+
+function $parcel$export(e, n, v) {
+  Object.defineProperty(e, n, {get: v, enumerable: true});
+}
+
+function $parcel$exportWildcard(dest, source) {
+  Object.keys(source).forEach(function (key) {
+    if (key === 'default' || key === '__esModule' || dest.hasOwnProperty(key)) {
+      return;
+    }
+
+    Object.defineProperty(dest, key, {
+      enumerable: true,
+      get: function get() {
+        return source[key];
+      }
+    });
+  });
+
+  return dest;
+}
@@ -1,21 +1,113 @@
 var global = (1, eval)('this');
 var OldModule = module.bundle.Module;
-function Module() {
-  OldModule.call(this);
+function Module(moduleName) {
+  OldModule.call(this, moduleName);
+  var bundle = module.bundle;
   this.hot = {
-    accept: function (fn) {
-      this._acceptCallback = fn || function () {};
+    // The data the previous instance of the module passed to its dispose callbacks
+    data: bundle.hotData[moduleName],
+    _acceptCallbacks: [],
+    _disposeCallbacks: [],
+    _acceptedDependencies: {},
+    _declinedDependencies: {},
+    _declined: false,
+    _invalidated: false,
+
+    // Accepts updates of the module itself, or of some of its dependencies, e.g. `accept('./dep', fn)`
+    accept: function (deps, fn) {
+      if (typeof deps === 'function' || deps === undefined) {
+        this._acceptCallbacks.push(deps || function () {});
+        return;
+      }
+
+      resolveDependencies(bundle, moduleName, deps).forEach(function (id) {
+        this._acceptedDependencies[id] = fn || function () {};
+      }, this);
+    },
+    // Reloads the page when the module itself, or some of its dependencies, are updated
+    decline: function (deps) {
+      if (deps === undefined) {
+        this._declined = true;
+        return;
+      }
+
+      resolveDependencies(bundle, moduleName, deps).forEach(function (id) {
+        this._declinedDependencies[id] = true;
+      }, this);
     },
     dispose: function (fn) {
-      this._disposeCallback = fn;
+      this._disposeCallbacks.push(fn);
+    },
+    addDisposeHandler: function (fn) {
+      this._disposeCallbacks.push(fn);
+    },
+    removeDisposeHandler: function (fn) {
+      removeItem(this._disposeCallbacks, fn);
+    },
+    // Runs the module again and passes its update on to the modules that require it, even if
+    // it accepts itself. During an update, this happens once the update is applied.
+    invalidate: function () {
+      this._invalidated = true;
+
+      // The module is already running again because it was invalidated
+      var update = hmrState.update;
+      if (update && update.invalidated.indexOf(moduleName) !== -1) {
+        return;
+      }
+
+      if (hmrState.invalidated.indexOf(moduleName) === -1) {
+        hmrState.invalidated.push(moduleName);
+      }
+
+      if (hmrState.status === 'idle') {
+        hmrUpdateInvalidated();
+      }
+    },
+    status: function () {
+      return hmrState.status;
+    },
+    addStatusHandler: function (fn) {
+      hmrState.handlers.push(fn);
+    },
+    removeStatusHandler: function (fn) {
+      removeItem(hmrState.handlers, fn);
     }
   };
 }
 
 module.bundle.Module = Module;
+module.bundle.hotData = {};
+
+// The status of updates is shared by the bundles of the page, through the first one
+var hmrRoot = module.bundle;
+while (hmrRoot.parent) {
+  hmrRoot = hmrRoot.parent;
+}
+
+var hmrState = hmrRoot.hmrState = hmrRoot.hmrState || {status: 'idle', handlers: [], invalidated: [], update: null};
 
 if (!module.bundle.parent && typeof WebSocket !== 'undefined') {
-  var ws = new WebSocket('ws://' + window.location.hostname + ':{{HMR_PORT}}/');
+  // The socket is served by the dev server of the page, unless HMR has a port of its own
+  var hostname = '{{HMR_HOSTNAME}}' || window.location.hostname;
+  var port = '{{HMR_PORT}}' || window.location.port;
+  var protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  var url = protocol + '://' + hostname + (port ? ':' + port : '') + '/';
+  var ws, hmrHash = null, reconnectAttempts = 0;
+  hmrConnect();
+}
+
+// Connects to the HMR server, and reconnects with a backoff when the connection closes,
+// e.g. when the dev server restarts or the computer sleeps
+function hmrConnect() {
+  ws = new WebSocket(url);
+
+  // The server sends the updates since the last build the runtime received, or a reload
+  ws.onopen = function () {
+    reconnectAttempts = 0;
+    removeStatusIndicator();
+    ws.send(JSON.stringify({type: 'resync', hash: hmrHash}));
+  };
+
   ws.onmessage = function(event) {
     var data = JSON.parse(event.data);
 
@@ -24,11 +116,11 @@ if (!module.bundle.parent && typeof WebSocket !== 'undefined') {
         hmrApply(global.require, asset);
       });
 
-      data.assets.forEach(function (asset) {
-        if (!asset.isNew) {
-          hmrAccept(global.require, asset.id);
-        }
-      });
+      hmrUpdate(data.assets.filter(function (asset) {
+        return !asset.isNew;
+      }).map(function (asset) {
+        return asset.id;
+      }));
     }
 
     if (data.type === 'reload') {
@@ -40,12 +132,110 @@ if (!module.bundle.parent && typeof WebSocket !== 'undefined') {
 
     if (data.type === 'error-resolved') {
       console.log('[parcel] ✨ Error resolved');
+      removeErrorOverlay();
     }
 
     if (data.type === 'error') {
-      console.error('[parcel] 🚨  ' + data.error.message + '\n' + 'data.error.stack');
+      console.error('[parcel] 🚨  ' + data.error.message + '\n' + data.error.stack);
+      removeErrorOverlay();
+      showErrorOverlay(data.error);
+    }
+
+    if (data.type === 'hash') {
+      hmrHash = data.hash;
     }
   };
+
+  ws.onerror = function () {};
+  ws.onclose = function () {
+    showStatusIndicator();
+    var delay = Math.min(1000 * Math.pow(2, reconnectAttempts++), 30000);
+    setTimeout(hmrConnect, delay);
+  };
+}
+
+var statusIndicator = null;
+
+function showStatusIndicator() {
+  if (statusIndicator || typeof document === 'undefined' || !document.body) {
+    return;
+  }
+
+  statusIndicator = createElement('div', 'position:fixed;right:10px;bottom:10px;z-index:2147483647;padding:4px 8px;border-radius:4px;background:rgba(0,0,0,0.7);color:#fff;font:12px sans-serif;', 'Parcel disconnected, reconnecting…');
+  document.body.appendChild(statusIndicator);
+}
+
+function removeStatusIndicator() {
+  if (statusIndicator && statusIndicator.parentNode) {
+    statusIndicator.parentNode.removeChild(statusIndicator);
+  }
+
+  statusIndicator = null;
+}
+
+var OVERLAY_STYLE = 'position:fixed;top:0;left:0;right:0;bottom:0;z-index:2147483647;overflow:auto;padding:30px;box-sizing:border-box;background:rgba(0,0,0,0.85);color:#e8e8e8;font:14px/1.5 Menlo,Consolas,monospace;';
+var errorOverlay = null;
+
+function createElement(tag, style, text) {
+  var el = document.createElement(tag);
+  el.style.cssText = style;
+  if (text) {
+    el.textContent = text;
+  }
+
+  return el;
+}
+
+// Renders the build error over the page, until it is dismissed or resolved
+function showErrorOverlay(error) {
+  if (typeof document === 'undefined' || !document.body) {
+    return;
+  }
+
+  errorOverlay = createElement('div', OVERLAY_STYLE);
+
+  var close = createElement('button', 'float:right;border:0;background:none;color:inherit;font-size:24px;cursor:pointer;', '×');
+  close.onclick = removeErrorOverlay;
+  errorOverlay.appendChild(close);
+
+  errorOverlay.appendChild(createElement('div', 'color:#ff5555;font-size:18px;font-weight:bold;', '🚨 Build error'));
+
+  // Clicking the location opens the file in the editor, through the dev server
+  if (error.fileName) {
+    var position = error.fileName + (error.loc ? ':' + error.loc.line + ':' + error.loc.column : '');
+    var link = createElement('a', 'color:#66b3ff;text-decoration:underline;cursor:pointer;', position);
+    link.onclick = function () {
+      openInEditor(error.fileName, error.loc);
+    };
+
+    errorOverlay.appendChild(link);
+  }
+
+  errorOverlay.appendChild(createElement('pre', 'white-space:pre-wrap;', error.message));
+  if (error.stack) {
+    errorOverlay.appendChild(createElement('pre', 'padding:10px;background:rgba(255,255,255,0.08);white-space:pre;overflow:auto;', error.stack));
+  }
+
+  document.body.appendChild(errorOverlay);
+}
+
+function removeErrorOverlay() {
+  if (errorOverlay && errorOverlay.parentNode) {
+    errorOverlay.parentNode.removeChild(errorOverlay);
+  }
+
+  errorOverlay = null;
+}
+
+function openInEditor(file, loc) {
+  var url = '/__parcel_launch_editor?file=' + encodeURIComponent(file);
+  if (loc) {
+    url += '&line=' + loc.line + '&column=' + loc.column;
+  }
+
+  var xhr = new XMLHttpRequest();
+  xhr.open('POST', url);
+  xhr.send();
 }
 
 function getParents(bundle, id) {
@@ -88,31 +278,144 @@ function hmrApply(bundle, asset) {
   }
 }
 
-function hmrAccept(bundle, id) {
-  var modules = bundle.modules;
-  if (!modules) {
+// Returns the ids of the dependencies of a module, from the names it requires them with
+function resolveDependencies(bundle, id, deps) {
+  return [].concat(deps).map(function (dep) {
+    var resolved = bundle.modules[id][1][dep];
+    return Array.isArray(resolved) ? resolved[resolved.length - 1] : resolved;
+  });
+}
+
+function removeItem(list, item) {
+  var index = list.indexOf(item);
+  if (index !== -1) {
+    list.splice(index, 1);
+  }
+}
+
+function setStatus(status) {
+  hmrState.status = status;
+  hmrState.handlers.slice().forEach(function (fn) {
+    fn(status);
+  });
+}
+
+// Returns the bundle that defines a module, from the last bundle up through its parents
+function findBundle(bundle, id) {
+  if (!bundle.modules || bundle.modules[id]) {
+    return bundle;
+  }
+
+  return bundle.parent ? findBundle(bundle.parent, id) : bundle;
+}
+
+/**
+ * Applies the updates of modules. Updates bubble up from each module to the modules
+ * that require it, until they are accepted. The page is reloaded if an update reaches
+ * an entry module without being accepted, or if a module declines it.
+ * Invalidated modules run again, and pass their update on to their parents.
+ */
+function hmrUpdate(ids, invalidated) {
+  var update = {outdated: [], callbacks: [], checked: {}, invalidated: invalidated || []};
+  hmrState.update = update;
+
+  setStatus('check');
+  var accepted = ids.every(function (id) {
+    return hmrAcceptCheck(update, id);
+  });
+
+  if (!accepted) {
+    hmrState.update = null;
+    setStatus('abort');
+    window.location.reload();
     return;
   }
 
-  if (!modules[id] && bundle.parent) {
-    return hmrAccept(bundle.parent, id);
+  setStatus('apply');
+  update.outdated.forEach(function (id) {
+    hmrAcceptRun(id);
+  });
+
+  update.callbacks.forEach(function (callback) {
+    callback.fn(callback.deps);
+  });
+
+  hmrState.update = null;
+  setStatus('idle');
+  hmrUpdateInvalidated();
+}
+
+// Applies the invalidations of modules, e.g. the ones queued while an update was applied
+function hmrUpdateInvalidated() {
+  var invalidated = hmrState.invalidated.splice(0);
+  if (invalidated.length > 0) {
+    hmrUpdate(invalidated, invalidated);
+  }
+}
+
+// Finds the modules to run again for an update of a module, and the callbacks of the modules that accept it
+function hmrAcceptCheck(update, id) {
+  if (update.checked[id]) {
+    return true;
   }
 
+  update.checked[id] = true;
+
+  // Modules that are not running yet use the new code when they are required
+  var cached = findBundle(global.require, id).cache[id];
+  if (!cached) {
+    return true;
+  }
+
+  if (cached.hot._declined) {
+    return false;
+  }
+
+  update.outdated.push(id);
+  if (cached.hot._acceptCallbacks.length > 0 && update.invalidated.indexOf(id) === -1) {
+    return true;
+  }
+
+  var parents = getParents(global.require, id);
+  if (parents.length === 0) {
+    return false;
+  }
+
+  return parents.every(function (parentId) {
+    var parent = findBundle(global.require, parentId).cache[parentId];
+    if (parent && parent.hot._declinedDependencies[id]) {
+      return false;
+    }
+
+    if (parent && parent.hot._acceptedDependencies[id]) {
+      update.callbacks.push({fn: parent.hot._acceptedDependencies[id], deps: [id]});
+      return true;
+    }
+
+    return hmrAcceptCheck(update, parentId);
+  });
+}
+
+function hmrAcceptRun(id) {
+  var bundle = findBundle(global.require, id);
   var cached = bundle.cache[id];
-  if (cached && cached.hot._disposeCallback) {
-    cached.hot._disposeCallback();
+  var data = {};
+  if (cached) {
+    cached.hot.data = data;
+    cached.hot._disposeCallbacks.forEach(function (fn) {
+      fn(data);
+    });
   }
 
   delete bundle.cache[id];
+  bundle.hotData[id] = data;
   bundle(id);
+  delete bundle.hotData[id];
 
   cached = bundle.cache[id];
-  if (cached && cached.hot && cached.hot._acceptCallback) {
-    cached.hot._acceptCallback();
-    return true;
+  if (cached && !cached.hot._invalidated) {
+    cached.hot._acceptCallbacks.forEach(function (fn) {
+      fn();
+    });
   }
-
-  return getParents(global.require, id).some(function (id) {
-    return hmrAccept(global.require, id)
-  });
 }
@@ -3,10 +3,12 @@ const chalk = require('chalk');
 const program = require('commander');
 const version = require('../package.json').version;
 
+const SIZE_UNITS = {b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3};
+
 program.version(version);
 
 program
-  .command('serve [input]')
+  .command('serve [input...]')
   .description('starts a development server')
   .option(
     '-p, --port <port>',
@@ -15,10 +17,15 @@ program
   )
   .option(
     '-h, --hmr-port <port>',
-    'set the port to serve HMR websockets, defaults to random',
+    'set the port to serve HMR websockets on. defaults to the port of the dev server',
     parseInt
   )
   .option('--https', 'serves files over HTTPS')
+  .option(
+    '--proxy <path=target>',
+    'forward the requests under a path to another host, e.g. /api=http://localhost:3000. can be repeated',
+    parseProxy
+  )
   .option('-o, --open', 'automatically open in default browser')
   .option(
     '-d, --out-dir <path>',
@@ -29,12 +36,53 @@ program
     'set the public URL to serve on. defaults to the same as the --out-dir option'
   )
   .option('--no-hmr', 'disable hot module replacement')
+  .option(
+    '--hmr-hostname <hostname>',
+    'set the hostname the HMR runtime connects to, e.g. behind a proxy. defaults to the hostname of the page'
+  )
   .option('--no-cache', 'disable the filesystem cache')
+  .option('--cache-dir <path>', 'set the cache directory. defaults to ".cache"')
+  .option(
+    '--cache-max-size <size>',
+    'evict the least recently used cache entries over this size, e.g. 500mb. defaults to 1gb',
+    parseSize
+  )
+  .option('--no-source-maps', 'disable sourcemaps')
+  .option(
+    '--min-shared-bundle-size <size>',
+    'extract modules shared by several dynamic bundles into a shared bundle over this size, e.g. 50kb. defaults to 30kb',
+    parseSize
+  )
+  .option(
+    '--inline-max-size <size>',
+    'inline images and fonts smaller than this size as data URIs, e.g. 4kb. disabled by default',
+    parseSize
+  )
+  .option(
+    '--resource-hints',
+    'add preload and prefetch links for the bundles of HTML entries'
+  )
+  .option(
+    '--precache [glob]',
+    'list the bundles matching the glob in service workers, as self.__precacheManifest. defaults to all bundles'
+  )
+  .option(
+    '-t, --target <target>',
+    'set the runtime environment, either "node", "browser" or "electron". defaults to "browser"'
+  )
+  .option(
+    '--bundle-node-modules',
+    'bundle node_modules, which node and electron targets require at runtime by default'
+  )
+  .option(
+    '--profile',
+    'log the slowest assets, and write a profile.json trace of the build to the output directory'
+  )
   .option('-V, --version', 'output the version number')
   .action(bundle);
 
 program
-  .command('watch [input]')
+  .command('watch [input...]')
   .description('starts the bundler in watch mode')
   .option(
     '-d, --out-dir <path>',
@@ -45,11 +93,60 @@ program
     'set the public URL to serve on. defaults to the same as the --out-dir option'
   )
   .option('--no-hmr', 'disable hot module replacement')
+  .option(
+    '--hmr-hostname <hostname>',
+    'set the hostname the HMR runtime connects to, e.g. behind a proxy. defaults to the hostname of the page'
+  )
   .option('--no-cache', 'disable the filesystem cache')
+  .option('--cache-dir <path>', 'set the cache directory. defaults to ".cache"')
+  .option(
+    '--cache-max-size <size>',
+    'evict the least recently used cache entries over this size, e.g. 500mb. defaults to 1gb',
+    parseSize
+  )
+  .option('--no-source-maps', 'disable sourcemaps')
+  .option(
+    '--min-shared-bundle-size <size>',
+    'extract modules shared by several dynamic bundles into a shared bundle over this size, e.g. 50kb. defaults to 30kb',
+    parseSize
+  )
+  .option(
+    '--inline-max-size <size>',
+    'inline images and fonts smaller than this size as data URIs, e.g. 4kb. disabled by default',
+    parseSize
+  )
+  .option(
+    '--resource-hints',
+    'add preload and prefetch links for the bundles of HTML entries'
+  )
+  .option(
+    '--precache [glob]',
+    'list the bundles matching the glob in service workers, as self.__precacheManifest. defaults to all bundles'
+  )
+  .option(
+    '--library [format]',
+    'build a library exporting the entry, as "umd", "cjs" or "esm". defaults to "umd"'
+  )
+  .option(
+    '--global-name <name>',
+    'set the global variable of UMD libraries. defaults to the package name'
+  )
+  .option(
+    '-t, --target <target>',
+    'set the runtime environment, either "node", "browser" or "electron". defaults to "browser"'
+  )
+  .option(
+    '--bundle-node-modules',
+    'bundle node_modules, which node and electron targets require at runtime by default'
+  )
+  .option(
+    '--profile',
+    'log the slowest assets, and write a profile.json trace of the build to the output directory'
+  )
   .action(bundle);
 
 program
-  .command('build [input]')
+  .command('build [input...]')
   .description('bundles for production')
   .option(
     '-d, --out-dir <path>',
@@ -60,9 +157,75 @@ program
     'set the public URL to serve on. defaults to the same as the --out-dir option'
   )
   .option('--no-minify', 'disable minification')
+  .option('--no-content-hash', 'disable content hashing of output filenames')
+  .option(
+    '--manifest',
+    'write a manifest.json mapping source files to their output bundles'
+  )
+  .option('--report', 'write a report.html with a treemap of the bundle sizes')
   .option('--no-cache', 'disable the filesystem cache')
+  .option('--cache-dir <path>', 'set the cache directory. defaults to ".cache"')
+  .option(
+    '--cache-max-size <size>',
+    'evict the least recently used cache entries over this size, e.g. 500mb. defaults to 1gb',
+    parseSize
+  )
+  .option('--no-source-maps', 'disable sourcemaps')
+  .option(
+    '--min-shared-bundle-size <size>',
+    'extract modules shared by several dynamic bundles into a shared bundle over this size, e.g. 50kb. defaults to 30kb',
+    parseSize
+  )
+  .option(
+    '--inline-max-size <size>',
+    'inline images and fonts smaller than this size as data URIs, e.g. 4kb. disabled by default',
+    parseSize
+  )
+  .option(
+    '--resource-hints',
+    'add preload and prefetch links for the bundles of HTML entries'
+  )
+  .option(
+    '--precache [glob]',
+    'list the bundles matching the glob in service workers, as self.__precacheManifest. defaults to all bundles'
+  )
+  .option(
+    '--library [format]',
+    'build a library exporting the entry, as "umd", "cjs" or "esm". defaults to "umd"'
+  )
+  .option(
+    '--global-name <name>',
+    'set the global variable of UMD libraries. defaults to the package name'
+  )
+  .option(
+    '-t, --target <target>',
+    'set the runtime environment, either "node", "browser" or "electron". defaults to "browser"'
+  )
+  .option(
+    '--bundle-node-modules',
+    'bundle node_modules, which node and electron targets require at runtime by default'
+  )
+  .option(
+    '--scope-hoist',
+    'concatenate ES modules into a single scope and remove unused exports'
+  )
+  .option(
+    '--profile',
+    'log the slowest assets, and write a profile.json trace of the build to the output directory'
+  )
   .action(bundle);
 
+program
+  .command('cache <command>')
+  .description('manages the filesystem cache. commands: clean, stats, prune')
+  .option('--cache-dir <path>', 'set the cache directory. defaults to ".cache"')
+  .option(
+    '--max-size <size>',
+    'with prune, also evict the least recently used entries over this size, e.g. 500mb',
+    parseSize
+  )
+  .action(cache);
+
 program
   .command('help [command]')
   .description('display help information for a command')
@@ -89,7 +252,7 @@ if (!args[2] || !program.commands.some(c => c.name() === args[2])) {
 
 program.parse(args);
 
-async function bundle(main, command) {
+async function bundle(entries, command) {
   // Require bundler here so the help command is fast
   const Bundler = require('../');
 
@@ -99,7 +262,7 @@ async function bundle(main, command) {
     process.env.NODE_ENV = process.env.NODE_ENV || 'development';
   }
 
-  const bundler = new Bundler(main, command);
+  const bundler = new Bundler(entries, command);
 
   if (command.name() === 'serve') {
     const server = await bundler.serve(command.port || 1234, command.https);
@@ -114,3 +277,68 @@ async function bundle(main, command) {
     bundler.bundle();
   }
 }
+
+async function cache(action, command) {
+  // Require the cache here so the help command is fast
+  const FSCache = require('./FSCache');
+  const fsCache = new FSCache({cacheDir: command.cacheDir});
+
+  if (action === 'stats') {
+    let stats = await fsCache.stats();
+    console.log(`Cache directory: ${fsCache.dir}`);
+    console.log(`Entries: ${stats.entries}`);
+    console.log(`Size: ${formatSize(stats.size)}`);
+    if (stats.entries > 0) {
+      console.log(`Least recently used: ${stats.oldest.toLocaleString()}`);
+      console.log(`Most recently used: ${stats.newest.toLocaleString()}`);
+    }
+  } else if (action === 'clean' || action === 'prune') {
+    let removed =
+      action === 'clean'
+        ? await fsCache.clean()
+        : await fsCache.prune(command.maxSize);
+    let size = removed.reduce((size, entry) => size + entry.size, 0);
+    console.log(
+      `Removed ${removed.length} cache entries (${formatSize(size)}).`
+    );
+  } else {
+    console.error(
+      chalk.red(`Unknown cache command "${action}". Use clean, stats or prune.`)
+    );
+    process.exitCode = 1;
+  }
+}
+
+function parseSize(value) {
+  let match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value.trim());
+  if (!match) {
+    console.error(chalk.red(`Invalid size "${value}", e.g. 500mb.`));
+    process.exit(1);
+  }
+
+  return Math.round(
+    parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]
+  );
+}
+
+function parseProxy(value, rules = {}) {
+  let index = value.indexOf('=');
+  if (index === -1) {
+    console.error(
+      chalk.red(
+        `Invalid proxy rule "${value}", e.g. /api=http://localhost:3000.`
+      )
+    );
+    process.exit(1);
+  }
+
+  rules[value.slice(0, index)] = value.slice(index + 1);
+  return rules;
+}
+
+function formatSize(bytes) {
+  let unit = ['gb', 'mb', 'kb'].find(unit => bytes >= SIZE_UNITS[unit]);
+  return unit
+    ? `${(bytes / SIZE_UNITS[unit]).toFixed(2)} ${unit.toUpperCase()}`
+    : `${bytes} B`;
+}
@@ -1,8 +1,22 @@
 const Packager = require('./Packager');
+const SourceMap = require('../SourceMap');
+const lineCounter = require('../utils/lineCounter');
 
 class CSSPackager extends Packager {
+  async start() {
+    this.sourceMap = this.options.sourceMaps ? new SourceMap() : null;
+    this.lineOffset = 0;
+    this.columnOffset = 0;
+  }
+
   async addAsset(asset) {
-    let css = asset.generated.css || '';
+    let map =
+      this.sourceMap && asset.type === 'css' && asset.generated.map
+        ? new SourceMap().addMap(asset.generated.map)
+        : null;
+    let css = this.replaceBundleNames(asset.generated.css, map) || '';
+    let lineOffset = this.lineOffset;
+    let columnOffset = this.columnOffset;
 
     // Figure out which media types this asset was imported with.
     // We only want to import the asset once, so group them all together.
@@ -19,11 +33,33 @@ class CSSPackager extends Packager {
 
     // If any, wrap in an @media block
     if (media.length) {
+      // Account for the @media line, and the leading lines removed by trim()
+      lineOffset += 2 - lineCounter(css.match(/^\s*/)[0]);
+      columnOffset = 0;
       css = `@media ${media.join(', ')} {\n${css.trim()}\n}\n`;
     }
 
+    if (map) {
+      this.sourceMap.addMap(map, lineOffset, columnOffset);
+    }
+
+    // Keep track of where the next asset starts
+    let lines = lineCounter(css);
+    let lastLine = css.slice(css.lastIndexOf('\n') + 1);
+    this.lineOffset += lines - 1;
+    this.columnOffset = (lines > 1 ? 0 : this.columnOffset) + lastLine.length;
+
     await this.dest.write(css);
   }
+
+  async end() {
+    if (this.sourceMap) {
+      let mapName = await this.writeSourceMap(this.sourceMap);
+      await this.dest.write(`/*# sourceMappingURL=${mapName} */`);
+    }
+
+    await super.end();
+  }
 }
 
 module.exports = CSSPackager;
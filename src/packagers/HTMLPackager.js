@@ -3,9 +3,20 @@ const posthtml = require('posthtml');
 const path = require('path');
 const urlJoin = require('../utils/urlJoin');
 
+// The `as` type of the <link rel="preload"> and <link rel="prefetch"> tags of each bundle type
+const PRELOAD_TYPES = {
+  js: 'script',
+  css: 'style',
+  woff: 'font',
+  woff2: 'font',
+  ttf: 'font',
+  otf: 'font',
+  eot: 'font'
+};
+
 class HTMLPackager extends Packager {
   async addAsset(asset) {
-    let html = asset.generated.html || '';
+    let html = this.replaceBundleNames(asset.generated.html) || '';
 
     // Find child bundles (e.g. JS) that have a sibling CSS bundle,
     // add them to the head so they are loaded immediately.
@@ -20,21 +31,17 @@ class HTMLPackager extends Packager {
       ).html;
     }
 
+    if (this.options.resourceHints) {
+      html = posthtml(this.insertResourceHints.bind(this)).process(html, {
+        sync: true
+      }).html;
+    }
+
     await this.dest.write(html);
   }
 
   insertCSSBundles(cssBundles, tree) {
-    let head = find(tree, 'head');
-    if (!head) {
-      let html = find(tree, 'html');
-      head = {tag: 'head'};
-      html.content.unshift(head);
-    }
-
-    if (!head.content) {
-      head.content = [];
-    }
-
+    let head = findHead(tree);
     for (let bundle of cssBundles) {
       head.content.push({
         tag: 'link',
@@ -45,6 +52,83 @@ class HTMLPackager extends Packager {
       });
     }
   }
+
+  /**
+   * Preloads the bundles the page needs right away, i.e. its scripts and stylesheets
+   * and the fonts they use, and prefetches the bundles of their dynamic imports.
+   */
+  insertResourceHints(tree) {
+    let preload = new Set();
+    let prefetch = new Set();
+
+    for (let bundle of this.bundle.childBundles) {
+      if (bundle.type === 'html') {
+        continue;
+      }
+
+      preload.add(bundle);
+      for (let child of bundle.childBundles) {
+        if (bundle.siblingBundles.get(child.type) === child) {
+          preload.add(child);
+        } else if (child.type === 'js' && !child.isShared) {
+          for (let dynamic of getDynamicBundles(child)) {
+            prefetch.add(dynamic);
+          }
+        } else if (PRELOAD_TYPES[child.type] === 'font') {
+          preload.add(child);
+        }
+      }
+    }
+
+    let head = findHead(tree);
+    let hints = [['preload', preload], ['prefetch', prefetch]];
+    for (let [rel, bundles] of hints) {
+      for (let bundle of bundles) {
+        let as = PRELOAD_TYPES[bundle.type];
+        if (!as || bundle.assets.size === 0) {
+          continue;
+        }
+
+        let attrs = {
+          rel,
+          href: urlJoin(this.options.publicURL, path.basename(bundle.name)),
+          as
+        };
+
+        // Fonts are always fetched in CORS mode, so the preload must be too
+        if (as === 'font') {
+          attrs.crossorigin = 'anonymous';
+        }
+
+        head.content.push({tag: 'link', attrs});
+      }
+    }
+  }
+}
+
+/**
+ * Yields the bundles loaded by a dynamic import: the bundle itself,
+ * the shared bundles it uses and its sibling bundles (e.g. CSS).
+ */
+function* getDynamicBundles(bundle) {
+  yield* bundle.sharedBundles;
+  yield bundle;
+  yield* bundle.siblingBundles.values();
+}
+
+function findHead(tree) {
+  let head = find(tree, 'head');
+  if (!head) {
+    let html = find(tree, 'html');
+    head = {tag: 'head'};
+    html.content.unshift(head);
+  }
+
+  if (!head.content) {
+    head.content = [];
+  }
+
+  return head;
 }
 
 function find(tree, tag) {
@@ -1,6 +1,10 @@
 const fs = require('fs');
 const path = require('path');
 const Packager = require('./Packager');
+const ScopeHoister = require('./ScopeHoister');
+const SourceMap = require('../SourceMap');
+const lineCounter = require('../utils/lineCounter');
+const {uglify} = require('../transforms/uglify');
 
 const prelude = {
   source: fs
@@ -16,16 +20,202 @@ const hmr = fs
   .readFileSync(path.join(__dirname, '../builtins/hmr-runtime.js'), 'utf8')
   .trim();
 
+// The factory that libraries are wrapped in, see JSPackager#getLibraryHeader
+const LIBRARY_FACTORY = `function ($parcel$externals) {
+var require = function (name) {
+  if (!Object.prototype.hasOwnProperty.call($parcel$externals, name)) {
+    var err = new Error("Cannot find module '" + name + "'");
+    err.code = "MODULE_NOT_FOUND";
+    throw err;
+  }
+
+  return $parcel$externals[name];
+};
+`;
+
 class JSPackager extends Packager {
   async start() {
     this.first = true;
     this.dedupe = new Map();
+    this.sourceMap = this.options.sourceMaps ? new SourceMap() : null;
+    this.lineOffset = 0;
+    this.hoister = this.options.scopeHoist ? new ScopeHoister(this) : null;
+
+    // With scope hoisting, the whole bundle is minified at once so unused exports are removed
+    this.buffer = this.hoister && this.options.minify ? '' : null;
 
+    // Libraries keep the require of the prelude in their own scope, see getLibraryHeader
     let preludeCode = this.options.minify ? prelude.minified : prelude.source;
-    await this.dest.write(preludeCode + '({');
+    this.isLibrary = this.options.library && this.isEntryBundle();
+    let header = this.isLibrary ? this.getLibraryHeader() : '';
+    if (this.bundle.isServiceWorker && this.bundler.precacheManifest) {
+      header += this.getPrecacheHeader();
+    }
+
+    await this.write(header + preludeCode + '({');
+  }
+
+  /**
+   * Returns the code that lists the bundles to precache in a service worker, as
+   * `self.__precacheManifest`, like workbox expects. Each entry has the URL of a
+   * bundle and a hash of its contents, so the service worker can update the bundles that changed.
+   */
+  getPrecacheHeader() {
+    return `self.__precacheManifest = ${JSON.stringify(
+      this.bundler.precacheManifest,
+      null,
+      2
+    )};\n`;
+  }
+
+  isEntryBundle() {
+    let {entryAsset} = this.bundle;
+    return !!entryAsset && this.options.entryFiles.includes(entryAsset.name);
+  }
+
+  /**
+   * Returns the code before the prelude of a library. The bundle is wrapped in a factory
+   * that receives the external modules (i.e. peer dependencies), and returns the exports
+   * of the entry module. The prelude assigns the require of the factory rather than a
+   * global one, and falls back to it for the external modules.
+   */
+  getLibraryHeader() {
+    let externals = this.getExternals();
+    switch (this.options.library) {
+      case 'cjs':
+        return 'module.exports = (' + LIBRARY_FACTORY;
+      case 'esm':
+        return (
+          externals
+            .map(
+              (name, i) =>
+                `import * as $parcel$external${i} from ${JSON.stringify(
+                  name
+                )};\n`
+            )
+            .join('') +
+          'var $parcel$exports = (' +
+          LIBRARY_FACTORY
+        );
+      default: {
+        let params = externals.map((name, i) => `$parcel$external${i}`);
+        return (
+          '(function (root, factory) {\n' +
+          '  if (typeof exports === "object" && typeof module !== "undefined") {\n' +
+          `    module.exports = factory(${formatExternals(
+            externals,
+            name => `require(${JSON.stringify(name)})`
+          )});\n` +
+          '  } else if (typeof define === "function" && define.amd) {\n' +
+          `    define(${JSON.stringify(externals)}, function (${params.join(
+            ', '
+          )}) {\n` +
+          `      return factory(${formatExternals(
+            externals,
+            (name, i) => params[i]
+          )});\n` +
+          '    });\n' +
+          '  } else {\n' +
+          `    root[${JSON.stringify(
+            this.getGlobalName()
+          )}] = factory(${formatExternals(
+            externals,
+            name => `root[${JSON.stringify(toGlobalName(name))}]`
+          )});\n` +
+          '  }\n' +
+          '})(typeof self !== "undefined" ? self : this, ' +
+          LIBRARY_FACTORY
+        );
+      }
+    }
+  }
+
+  /**
+   * Returns the code after the prelude of a library, which passes the external modules
+   * to the factory, and exports the result.
+   */
+  getLibraryFooter() {
+    let externals = this.getExternals();
+    let end = `;\nreturn require(${this.bundle.entryAsset.id});\n}`;
+    switch (this.options.library) {
+      case 'cjs':
+        return (
+          end +
+          `)(${formatExternals(
+            externals,
+            name => `require(${JSON.stringify(name)})`
+          )});`
+        );
+      case 'esm': {
+        // Namespaces are marked as ES modules, so default imports compiled by babel get the default export
+        let namespaces = formatExternals(
+          externals,
+          (name, i) => `Object.assign({__esModule: true}, $parcel$external${i})`
+        );
+        return end + `)(${namespaces});\n` + this.getESModuleExports();
+      }
+      default:
+        return end + ');';
+    }
+  }
+
+  /**
+   * Returns the export statements of an ES module library. The names are known if the
+   * entry is an ES module, otherwise its exports object is the default export.
+   */
+  getESModuleExports() {
+    let names = getExportNames(this.bundle.entryAsset);
+    if (!names) {
+      return 'export default $parcel$exports;';
+    }
+
+    return names
+      .map(
+        (name, i) =>
+          `var $parcel$export${i} = $parcel$exports[${JSON.stringify(
+            name
+          )}];\n` + `export {$parcel$export${i} as ${name}};\n`
+      )
+      .join('');
+  }
+
+  getExternals() {
+    let externals = new Set();
+    for (let asset of this.bundle.assets) {
+      for (let name of asset.externals) {
+        externals.add(name);
+      }
+    }
+
+    return Array.from(externals).sort();
+  }
+
+  getGlobalName() {
+    let {entryAsset} = this.bundle;
+    return (
+      this.options.globalName ||
+      toGlobalName(
+        entryAsset.package.name ||
+          path.basename(entryAsset.name, path.extname(entryAsset.name))
+      )
+    );
+  }
+
+  async write(string) {
+    this.lineOffset += lineCounter(string) - 1;
+    if (this.buffer != null) {
+      this.buffer += string;
+    } else {
+      await this.dest.write(string);
+    }
   }
 
   async addAsset(asset) {
+    if (this.hoister && asset.generated.hoist) {
+      this.hoister.addAsset(asset);
+      return;
+    }
+
     if (this.dedupe.has(asset.generated.js)) {
       return;
     }
@@ -35,13 +225,24 @@ class JSPackager extends Packager {
       this.dedupe.set(asset.generated.js, asset.id);
     }
 
+    let deps = this.getDependencyIds(asset);
+
+    // The source map belongs to the asset's own type, e.g. not the JS generated by a CSS asset
+    let map = asset.type === 'js' ? asset.generated.map : null;
+    await this.writeModule(asset.id, asset.generated.js, deps, map);
+  }
+
+  getDependencyIds(asset) {
     let deps = {};
     for (let dep of asset.dependencies.values()) {
       let mod = asset.depAssets.get(dep.name);
 
-      // For dynamic dependencies, list the child bundles to load along with the module id
+      // For dynamic dependencies, list the child bundles to load along with the module id.
+      // Shared bundles come first, so they are executed before the bundle that uses them.
       if (dep.dynamic && this.bundle.childBundles.has(mod.parentBundle)) {
-        let bundles = [path.basename(mod.parentBundle.name)];
+        let bundles = Array.from(mod.parentBundle.sharedBundles)
+          .map(shared => path.basename(shared.name))
+          .concat(path.basename(mod.parentBundle.name));
         for (let child of mod.parentBundle.siblingBundles.values()) {
           if (!child.isEmpty) {
             bundles.push(path.basename(child.name));
@@ -55,29 +256,48 @@ class JSPackager extends Packager {
       }
     }
 
-    await this.writeModule(asset.id, asset.generated.js, deps);
+    return deps;
   }
 
-  async writeModule(id, code, deps = {}) {
+  async writeModule(id, code, deps = {}, map) {
     let wrapped = this.first ? '' : ',';
-    wrapped +=
-      id + ':[function(require,module,exports) {\n' + (code || '') + '\n},';
+    wrapped += id + ':[function(require,module,exports) {\n';
+
+    // The module code starts on the line after the function header
+    let lineOffset = this.lineOffset + lineCounter(wrapped) - 1;
+    let sourceMap = this.sourceMap && map ? new SourceMap().addMap(map) : null;
+    wrapped += (this.replaceBundleNames(code, sourceMap) || '') + '\n},';
+    if (sourceMap) {
+      this.sourceMap.addMap(sourceMap, lineOffset);
+    }
+
     wrapped += JSON.stringify(deps);
     wrapped += ']';
 
     this.first = false;
-    await this.dest.write(wrapped);
+    await this.write(wrapped);
   }
 
   async end() {
     let entry = [];
 
+    // Write the hoisted modules, and a module for each one that is required by id
+    if (this.hoister && this.hoister.assets.size > 0) {
+      let {id, code, map, exposed} = this.hoister.generate();
+      await this.writeModule(id, code, {}, map);
+      for (let asset of exposed) {
+        await this.writeModule(asset.id, `require(${id});`);
+      }
+    }
+
     // Add the HMR runtime if needed.
     if (this.options.hmr) {
       // Asset ids normally start at 1, so this should be safe.
       await this.writeModule(
         0,
-        hmr.replace('{{HMR_PORT}}', this.options.hmrPort)
+        hmr
+          .replace('{{HMR_HOSTNAME}}', this.options.hmrHostname)
+          .replace('{{HMR_PORT}}', this.options.hmrPort || '')
       );
       entry.push(0);
     }
@@ -87,8 +307,83 @@ class JSPackager extends Packager {
       entry.push(this.bundle.entryAsset.id);
     }
 
-    await this.dest.end('},{},' + JSON.stringify(entry) + ')');
+    let footer = '},{},' + JSON.stringify(entry) + ')';
+
+    if (this.isLibrary) {
+      footer += this.getLibraryFooter();
+    } else if (this.options.target !== 'browser' && this.bundle.entryAsset) {
+      // Export the entry module, so node can require the bundle
+      footer +=
+        ';\nmodule.exports = require(' + this.bundle.entryAsset.id + ')';
+    }
+
+    if (this.buffer != null) {
+      // Tree shaking drops unused code on purpose, so don't warn about each of them
+      let result = await uglify(
+        this.options.mainFile,
+        this.buffer + footer,
+        this.sourceMap,
+        {warnings: false}
+      );
+
+      await this.dest.write(result.code);
+      footer = '';
+      if (this.sourceMap) {
+        this.sourceMap = new SourceMap().addMap(result.map);
+      }
+    }
+
+    if (this.sourceMap) {
+      let mapName = await this.writeSourceMap(this.sourceMap);
+      footer += '\n//# sourceMappingURL=' + mapName;
+    }
+
+    await this.dest.end(footer);
+  }
+}
+
+function formatExternals(externals, format) {
+  let properties = externals.map(
+    (name, i) => JSON.stringify(name) + ': ' + format(name, i)
+  );
+  return '{' + properties.join(', ') + '}';
+}
+
+/**
+ * Returns the names exported by an ES module, including the names it re-exports
+ * from other ES modules with `export *`. Returns null for other modules.
+ */
+function getExportNames(asset, visited = new Set()) {
+  let exports = asset.generated.exports;
+  if (!exports || visited.has(asset)) {
+    return null;
+  }
+
+  visited.add(asset);
+  let names = new Set(exports.names);
+  for (let source of exports.all) {
+    let dep = asset.depAssets.get(source);
+    for (let name of (dep && getExportNames(dep, visited)) || []) {
+      if (name !== 'default') {
+        names.add(name);
+      }
+    }
   }
+
+  return Array.from(names);
+}
+
+/**
+ * Returns the name of the global variable of a package in UMD builds, e.g. `reactDom` for `react-dom`.
+ */
+function toGlobalName(name) {
+  return name
+    .replace(/^@[^/]+\//, '')
+    .replace(
+      /[^a-zA-Z0-9_$]+(.)?/g,
+      (match, char) => (char ? char.toUpperCase() : '')
+    )
+    .replace(/^[0-9]/, '_$&');
 }
 
 module.exports = JSPackager;
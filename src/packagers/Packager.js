@@ -1,5 +1,7 @@
 const fs = require('fs');
+const path = require('path');
 const promisify = require('../utils/promisify');
+const {writeFile} = require('../utils/fs');
 
 class Packager {
   constructor(bundle, bundler) {
@@ -25,6 +27,86 @@ class Packager {
   async end() {
     await this.dest.end();
   }
+
+  /**
+   * Replaces the original names of the bundles referenced in `code` (e.g. URLs
+   * to images, scripts and stylesheets) with their content hashed names. The
+   * hashed names have a different length, so the generated columns of `sourceMap`
+   * (a SourceMap of `code`) are moved along with the code that follows them.
+   */
+  replaceBundleNames(code, sourceMap) {
+    let nameMap = this.bundler.bundleNameMap;
+    if (!nameMap || nameMap.size === 0 || !code) {
+      return code;
+    }
+
+    // Replace all the names in a single pass, so hashed names are not replaced again
+    let names = Array.from(nameMap.keys()).sort((a, b) => b.length - a.length);
+    let pattern = new RegExp(names.map(escape).join('|'), 'g');
+
+    // The columns after which the code of each line moves, and by how much
+    let shifts = new Map();
+    let line = 1;
+    let lineStart = 0;
+    let result = code.replace(pattern, (name, index) => {
+      let newline = code.indexOf('\n', lineStart);
+      while (newline !== -1 && newline < index) {
+        line++;
+        lineStart = newline + 1;
+        newline = code.indexOf('\n', lineStart);
+      }
+
+      let hashedName = nameMap.get(name);
+      if (!shifts.has(line)) {
+        shifts.set(line, []);
+      }
+
+      shifts
+        .get(line)
+        .push([
+          index - lineStart + name.length,
+          hashedName.length - name.length
+        ]);
+      return hashedName;
+    });
+
+    if (sourceMap) {
+      for (let {generated} of sourceMap.mappings) {
+        let shift = 0;
+        for (let [column, delta] of shifts.get(generated.line) || []) {
+          if (generated.column >= column) {
+            shift += delta;
+          }
+        }
+
+        generated.column += shift;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Writes the source map for the bundle next to it, and returns its filename
+   * so the packager can reference it from the bundle.
+   */
+  async writeSourceMap(sourceMap) {
+    let name = path.basename(this.bundle.name);
+    let sourceRoot = path
+      .relative(path.dirname(this.bundle.name), this.options.rootDir)
+      .replace(/\\/g, '/');
+
+    await writeFile(
+      this.bundle.name + '.map',
+      sourceMap.stringify(name, sourceRoot)
+    );
+
+    return name + '.map';
+  }
+}
+
+function escape(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 module.exports = Packager;
@@ -1,7 +1,6 @@
 const Packager = require('./Packager');
 const fs = require('../utils/fs');
 const path = require('path');
-const url = require('url');
 
 class RawPackager extends Packager {
   // Override so we don't create a file for this bundle.
@@ -9,21 +8,32 @@ class RawPackager extends Packager {
   setup() {}
 
   async addAsset(asset) {
-    // Use the bundle name if this is the entry asset, otherwise generate one.
-    let name = this.bundle.name;
-    if (asset !== this.bundle.entryAsset) {
-      name = url.resolve(
-        path.join(path.dirname(this.bundle.name), asset.generateBundleName()),
-        ''
-      );
-    }
-
     let contents =
       asset.generated[asset.type] || (await fs.readFile(asset.name));
-    await fs.writeFile(name, contents);
+    await fs.writeFile(
+      RawPackager.getAssetName(this.bundler, this.bundle, asset),
+      contents
+    );
   }
 
   end() {}
+
+  /**
+   * Returns the file a raw asset is copied to: the name of the bundle for its entry
+   * asset, and otherwise the (content hashed) name of the asset, next to the bundle.
+   */
+  static getAssetName(bundler, bundle, asset) {
+    if (asset === bundle.entryAsset) {
+      return bundle.name;
+    }
+
+    let name = asset.generateBundleName();
+    if (bundler.bundleNameMap && bundler.bundleNameMap.has(name)) {
+      name = bundler.bundleNameMap.get(name);
+    }
+
+    return path.join(path.dirname(bundle.name), name);
+  }
 }
 
 module.exports = RawPackager;
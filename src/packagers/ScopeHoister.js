@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const SourceMap = require('../SourceMap');
+const lineCounter = require('../utils/lineCounter');
+
+const helpers = fs
+  .readFileSync(path.join(__dirname, '../builtins/helpers.js'), 'utf8')
+  .replace(/^\/\*.*\*\/\n/, '')
+  .trim();
+
+const REQUIRE_RE = /\brequire(\.resolve)?\((["'])(.+?)\2\)/g;
+
+/**
+ * Links the ES modules of a bundle that were prepared by the hoist visitor
+ * (see visitors/hoist.js), and concatenates them into a single module. Imports
+ * refer directly to the bindings of the imported modules, so exports that are
+ * never used can be removed by the minifier.
+ *
+ * Other modules, e.g. CommonJS modules or modules in other bundles, access the
+ * hoisted modules through namespace objects registered in the module cache.
+ */
+class ScopeHoister {
+  constructor(packager) {
+    this.packager = packager;
+    this.bundle = packager.bundle;
+    this.assets = new Set();
+    this.namespaces = new Set();
+    this.exposed = new Set();
+  }
+
+  addAsset(asset) {
+    this.assets.add(asset);
+  }
+
+  get root() {
+    let entry = this.bundle.entryAsset;
+    return this.assets.has(entry) ? entry : this.assets.values().next().value;
+  }
+
+  /**
+   * Returns the id, code and source map of the module containing all of the
+   * hoisted assets, along with the assets that other modules require by id.
+   */
+  generate() {
+    let root = this.root;
+    this.getNamespace(root);
+
+    // Modules outside of the group can only require the hoisted modules by id
+    for (let asset of this.packager.bundler.loadedAssets.values()) {
+      if (this.assets.has(asset)) {
+        continue;
+      }
+
+      for (let dep of asset.depAssets.values()) {
+        if (this.assets.has(dep)) {
+          this.expose(dep);
+        }
+      }
+    }
+
+    let modules = Array.from(this.assets).map(asset => ({
+      asset,
+      code: this.link(asset)
+    }));
+
+    // Define the namespace objects. Resolving their exports can require more namespaces.
+    let header = [helpers];
+    let wildcards = new Map();
+    for (let asset of this.namespaces) {
+      let name = this.getNamespace(asset);
+      header.push(`var ${name} = {};`, `$parcel$defineInteropFlag(${name});`);
+
+      let {exports, reexports, starExports} = asset.generated.hoist;
+      for (let exported of Object.keys(exports).concat(
+        Object.keys(reexports)
+      )) {
+        header.push(
+          `$parcel$export(${name}, ${JSON.stringify(exported)}, function () {`,
+          `  return ${this.resolveExport(asset, exported)};`,
+          '});'
+        );
+      }
+
+      // Star exports that can't be resolved statically are copied once the module has run
+      wildcards.set(
+        asset,
+        starExports.map(
+          source =>
+            `$parcel$exportWildcard(${name}, ${this.resolveImport(
+              asset,
+              source,
+              '*'
+            )});\n`
+        )
+      );
+
+      if (asset === root) {
+        header.push(`module.exports = ${name};`);
+      } else if (this.exposed.has(asset)) {
+        header.push(`module.bundle.cache[${asset.id}] = {exports: ${name}};`);
+      }
+    }
+
+    let code = header.join('\n') + '\n';
+    let map = this.packager.options.sourceMaps ? new SourceMap() : null;
+
+    for (let {asset, code: moduleCode} of modules) {
+      if (map && asset.generated.map) {
+        map.addMap(asset.generated.map, lineCounter(code) - 1);
+      }
+
+      code += moduleCode + '\n';
+      if (wildcards.has(asset)) {
+        code += wildcards.get(asset).join('');
+      }
+    }
+
+    return {
+      id: root.id,
+      code,
+      map,
+      exposed: Array.from(this.exposed).filter(asset => asset !== root)
+    };
+  }
+
+  link(asset) {
+    let {deps} = asset.generated.hoist;
+    let code = asset.generated.js;
+
+    // Dependencies in the group are already defined. Keep the line so the source map stays valid.
+    for (let source in deps) {
+      if (this.assets.has(asset.depAssets.get(source))) {
+        code = code.replace(
+          new RegExp(`^var ${escape(deps[source])} = require\\(.+\\);$`, 'm'),
+          ''
+        );
+      }
+    }
+
+    code = this.replaceImports(asset, code);
+
+    // Replace the remaining requires by the ids of the modules
+    let ids = this.packager.getDependencyIds(asset);
+    return code.replace(REQUIRE_RE, (match, resolve = '', quote, name) => {
+      if (!ids.hasOwnProperty(name)) {
+        return match;
+      }
+
+      let dep = asset.depAssets.get(name);
+      if (!resolve && this.assets.has(dep)) {
+        this.expose(dep);
+      }
+
+      return `require${resolve}(${JSON.stringify(ids[name])})`;
+    });
+  }
+
+  replaceImports(asset, code) {
+    let {prefix, imports} = asset.generated.hoist;
+    return code.replace(
+      new RegExp(escape(prefix) + 'import\\$[\\w$]+', 'g'),
+      id => {
+        if (!imports.hasOwnProperty(id)) {
+          return id;
+        }
+
+        let [source, imported] = imports[id];
+        return this.resolveImport(asset, source, imported);
+      }
+    );
+  }
+
+  resolveImport(asset, source, imported) {
+    let dep = asset.depAssets.get(source);
+    if (this.assets.has(dep)) {
+      if (imported === '*') {
+        return this.getNamespace(dep);
+      }
+
+      return (
+        this.resolveExport(dep, imported) ||
+        `${this.getNamespace(dep)}.${imported}`
+      );
+    }
+
+    // The module isn't hoisted in this bundle, so use its exports object
+    let depName = asset.generated.hoist.deps[source];
+    if (imported === '*') {
+      return depName;
+    }
+
+    if (imported === 'default') {
+      return `($parcel$interopDefault(${depName}))`;
+    }
+
+    return `${depName}.${imported}`;
+  }
+
+  resolveExport(asset, name, visited = new Set()) {
+    let {exports, reexports, starExports} = asset.generated.hoist;
+    visited.add(asset);
+
+    if (exports.hasOwnProperty(name)) {
+      return this.replaceImports(asset, exports[name]);
+    }
+
+    if (reexports.hasOwnProperty(name)) {
+      let [source, imported] = reexports[name];
+      return this.resolveImport(asset, source, imported);
+    }
+
+    if (name !== 'default') {
+      for (let source of starExports) {
+        let dep = asset.depAssets.get(source);
+        if (this.assets.has(dep) && !visited.has(dep)) {
+          let resolved = this.resolveExport(dep, name, visited);
+          if (resolved) {
+            return resolved;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getNamespace(asset) {
+    this.namespaces.add(asset);
+    return asset.generated.hoist.prefix + 'exports';
+  }
+
+  expose(asset) {
+    this.exposed.add(asset);
+    this.getNamespace(asset);
+  }
+}
+
+function escape(string) {
+  return string.replace(/[$]/g, '\\$');
+}
+
+module.exports = ScopeHoister;
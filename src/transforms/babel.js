@@ -1,5 +1,4 @@
 const babel = require('babel-core');
-const config = require('../utils/config');
 
 module.exports = async function(asset) {
   if (!await shouldTransform(asset)) {
@@ -35,10 +34,9 @@ async function shouldTransform(asset) {
     return !!asset.babelConfig;
   }
 
-  if (asset.package && asset.package.babel) {
-    return true;
-  }
-
-  let babelrc = await config.resolve(asset.name, ['.babelrc', '.babelrc.js']);
+  let babelrc = await asset.getConfig(['.babelrc', '.babelrc.js'], {
+    packageKey: 'babel',
+    load: false
+  });
   return !!babelrc;
 }
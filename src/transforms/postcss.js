@@ -1,7 +1,6 @@
 const localRequire = require('../utils/localRequire');
 const loadPlugins = require('../utils/loadPlugins');
 const postcss = require('postcss');
-const Config = require('../utils/config');
 const cssnano = require('cssnano');
 
 module.exports = async function(asset) {
@@ -14,18 +13,18 @@ module.exports = async function(asset) {
   let res = await postcss(config.plugins).process(asset.getCSSAst(), config);
 
   asset.ast.css = res.css;
+  asset.ast.map = res.map ? res.map.toJSON() : null;
   asset.ast.dirty = false;
 };
 
 async function getConfig(asset) {
-  let config =
-    asset.package.postcss ||
-    (await Config.load(asset.name, [
-      '.postcssrc',
-      '.postcssrc.js',
-      'postcss.config.js'
-    ]));
-  if (!config && !asset.options.minify) {
+  let config = await asset.getConfig(
+    ['.postcssrc', '.postcssrc.js', 'postcss.config.js'],
+    {packageKey: 'postcss'}
+  );
+  // `?module` imports enable CSS modules, e.g. `import styles from './styles.css?module'`
+  let modules = asset.query === 'module';
+  if (!config && !asset.options.minify && !modules) {
     return;
   }
 
@@ -45,18 +44,21 @@ async function getConfig(asset) {
 
   config.plugins = await loadPlugins(config.plugins, asset.name);
 
-  if (config.modules) {
+  if (config.modules || modules) {
     let postcssModules = await localRequire('postcss-modules', asset.name);
     config.plugins.push(postcssModules(postcssModulesConfig));
   }
 
   if (asset.options.minify) {
     config.plugins.push(
-      cssnano((await Config.load(asset.name, ['cssnano.config.js'])) || {})
+      cssnano((await asset.getConfig(['cssnano.config.js'])) || {})
     );
   }
 
   config.from = asset.name;
   config.to = asset.name;
+  config.map = asset.options.sourceMaps
+    ? {inline: false, annotation: false, sourcesContent: true}
+    : false;
   return config;
 }
@@ -1,6 +1,5 @@
 const loadPlugins = require('../utils/loadPlugins');
 const posthtml = require('posthtml');
-const Config = require('../utils/config');
 const htmlnano = require('htmlnano');
 
 module.exports = async function(asset) {
@@ -17,13 +16,10 @@ module.exports = async function(asset) {
 };
 
 async function getConfig(asset) {
-  let config =
-    asset.package.posthtml ||
-    (await Config.load(asset.name, [
-      '.posthtmlrc',
-      '.posthtmlrc.js',
-      'posthtml.config.js'
-    ]));
+  let config = await asset.getConfig(
+    ['.posthtmlrc', '.posthtmlrc.js', 'posthtml.config.js'],
+    {packageKey: 'posthtml'}
+  );
   if (!config && !asset.options.minify) {
     return;
   }
@@ -32,10 +28,12 @@ async function getConfig(asset) {
   config.plugins = await loadPlugins(config.plugins, asset.name);
 
   if (asset.options.minify) {
-    const htmlNanoConfig = asset.package.htmlnano ||
-      (await Config.load(asset.name, ['.htmlnanorc', '.htmlnanorc.js'])) || {
-        collapseWhitespace: 'conservative'
-      };
+    const htmlNanoConfig = (await asset.getConfig(
+      ['.htmlnanorc', '.htmlnanorc.js'],
+      {packageKey: 'htmlnano'}
+    )) || {
+      collapseWhitespace: 'conservative'
+    };
 
     config.plugins.push(htmlnano(htmlNanoConfig));
   }
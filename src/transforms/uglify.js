@@ -5,23 +5,50 @@ module.exports = async function(asset) {
   await asset.parseIfNeeded();
 
   // Convert AST into JS
-  let code = asset.generate().js;
+  let {js: code, map} = asset.generate();
 
-  let customConfig = await config.load(asset.name, ['.uglifyrc']);
-  let options = {
-    warnings: true,
-    mangle: {
-      toplevel: true
+  // Add the config as a dependency, so changing it invalidates the asset
+  await asset.getConfig(['.uglifyrc'], {load: false});
+  let result = await uglify(asset.name, code, map);
+
+  // babel-generator did our code generation for us, so remove the old AST
+  asset.ast = null;
+  asset.outputCode = result.code;
+  asset.sourceMap = result.map;
+  asset.isAstDirty = false;
+};
+
+/**
+ * Minifies the given code with the uglify config for `filename`, and returns
+ * the minified code along with its source map, if `map` was given. `defaults`
+ * override the default options, and are overridden by the uglify config.
+ */
+async function uglify(filename, code, map, defaults) {
+  let customConfig = await config.load(filename, ['.uglifyrc']);
+  let options = Object.assign(
+    {
+      warnings: true,
+      mangle: {
+        toplevel: true
+      },
+      compress: {
+        drop_console: true
+      }
     },
-    compress: {
-      drop_console: true
-    }
-  };
+    defaults
+  );
 
   if (customConfig) {
     options = Object.assign(options, customConfig);
   }
 
+  // Pass the current source map along so uglify maps back to the original source
+  if (map) {
+    options.sourceMap = {
+      content: JSON.stringify(map)
+    };
+  }
+
   let result = minify(code, options);
   if (result.error) {
     throw result.error;
@@ -35,8 +62,10 @@ module.exports = async function(asset) {
     });
   }
 
-  // babel-generator did our code generation for us, so remove the old AST
-  asset.ast = null;
-  asset.outputCode = result.code;
-  asset.isAstDirty = false;
-};
+  return {
+    code: result.code,
+    map: result.map ? JSON.parse(result.map) : null
+  };
+}
+
+module.exports.uglify = uglify;
@@ -1,4 +1,5 @@
 const fs = require('./fs');
+const {existsSync, readFileSync} = require('fs');
 const path = require('path');
 const json5 = require('json5');
 
@@ -51,5 +52,47 @@ async function load(filepath, filenames, root = path.parse(filepath).root) {
   return null;
 }
 
+function resolveSync(filepath, filenames, root = path.parse(filepath).root) {
+  filepath = path.dirname(filepath);
+
+  // Don't traverse above the module root
+  if (filepath === root || path.basename(filepath) === 'node_modules') {
+    return null;
+  }
+
+  for (const filename of filenames) {
+    let file = path.join(filepath, filename);
+    let exists = existsCache.has(file)
+      ? existsCache.get(file)
+      : existsSync(file);
+    existsCache.set(file, exists);
+    if (exists) {
+      return file;
+    }
+  }
+
+  return resolveSync(filepath, filenames, root);
+}
+
+/**
+ * Synchronous version of `load`, for code that can't be async, e.g. the Resolver.
+ * Returns the config file along with the loaded config.
+ */
+function loadSync(filepath, filenames, root = path.parse(filepath).root) {
+  let configFile = resolveSync(filepath, filenames, root);
+  if (!configFile) {
+    return null;
+  }
+
+  if (path.extname(configFile) === '.js') {
+    return {file: configFile, config: require(configFile)};
+  }
+
+  let config = json5.parse(readFileSync(configFile, 'utf8'));
+  return {file: configFile, config};
+}
+
 exports.resolve = resolve;
 exports.load = load;
+exports.resolveSync = resolveSync;
+exports.loadSync = loadSync;
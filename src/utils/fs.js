@@ -5,6 +5,10 @@ const mkdirp = require('mkdirp');
 exports.readFile = promisify(fs.readFile);
 exports.writeFile = promisify(fs.writeFile);
 exports.stat = promisify(fs.stat);
+exports.readdir = promisify(fs.readdir);
+exports.unlink = promisify(fs.unlink);
+exports.rmdir = promisify(fs.rmdir);
+exports.utimes = promisify(fs.utimes);
 
 exports.exists = function(filename) {
   return new Promise(resolve => {
@@ -0,0 +1,115 @@
+const fs = require('./fs');
+const path = require('path');
+const zlib = require('zlib');
+const RawPackager = require('../packagers/RawPackager');
+
+const template = require('fs')
+  .readFileSync(path.join(__dirname, '../builtins/report.html'), 'utf8')
+  .trim();
+
+/**
+ * Writes a self-contained HTML report to the output directory, showing a treemap
+ * of every bundle in the tree (including dynamic child bundles and sibling bundles),
+ * with the assets of each bundle grouped by npm package. For each asset, the
+ * report contains the size of the source file, the size of the generated
+ * (minified, in production) output, and the gzipped size of the output.
+ */
+async function generateBundleReport(bundler, bundle) {
+  let bundles = new Map();
+  await addBundle(bundler, bundle, bundles);
+
+  // Escape `<` so the data can't close the script tag
+  let data = JSON.stringify({
+    name: 'bundles',
+    children: Array.from(bundles.values())
+  }).replace(/</g, '\\u003c');
+
+  // A function, so `$&` and the like in the data aren't replacement patterns
+  let html = template.replace('{{REPORT_DATA}}', () => data);
+
+  let filename = path.join(bundler.options.outDir, 'report.html');
+  await fs.writeFile(filename, html);
+  return filename;
+}
+
+async function addBundle(bundler, bundle, bundles) {
+  // The root bundle of several entry points has no assets of its own
+  if (bundle.type && !bundle.isEmpty) {
+    // Raw assets are copied to their own files (see RawPackager)
+    let isRaw = bundler.packagers.get(bundle.type) === RawPackager;
+    for (let asset of bundle.assets) {
+      let name = isRaw
+        ? RawPackager.getAssetName(bundler, bundle, asset)
+        : bundle.name;
+      name = path.relative(bundler.options.outDir, name);
+
+      // The same raw asset can be referenced from several bundles
+      if (!bundles.has(name)) {
+        bundles.set(name, {name, type: bundle.type, children: []});
+      } else if (isRaw) {
+        continue;
+      }
+
+      let packages = bundles.get(name).children;
+      let packageName = getPackageName(asset);
+      let group = packages.find(p => p.name === packageName);
+      if (!group) {
+        group = {name: packageName, children: []};
+        packages.push(group);
+      }
+
+      group.children.push(await getAssetSizes(asset, bundle));
+    }
+  }
+
+  for (let child of bundle.childBundles) {
+    await addBundle(bundler, child, bundles);
+  }
+}
+
+async function getAssetSizes(asset, bundle) {
+  let source = await fs.readFile(asset.name);
+  let output =
+    asset.generated && asset.generated[bundle.type] != null
+      ? Buffer.from(asset.generated[bundle.type])
+      : source;
+
+  return {
+    name: getAssetName(asset),
+    raw: source.length,
+    minified: output.length,
+    gzip: output.length > 0 ? zlib.gzipSync(output).length : 0
+  };
+}
+
+function getPackageDir(asset) {
+  let parts = asset.name.split(path.sep);
+  let index = parts.lastIndexOf('node_modules');
+  if (index === -1 || index + 1 >= parts.length) {
+    return null;
+  }
+
+  // Scoped packages, e.g. @babel/runtime
+  let end = parts[index + 1].startsWith('@') ? index + 3 : index + 2;
+  return parts.slice(0, end).join(path.sep);
+}
+
+function getPackageName(asset) {
+  let dir = getPackageDir(asset);
+  if (dir) {
+    return path.relative(path.join(dir, '..'), dir).replace(/\\/g, '/');
+  }
+
+  return '(project)';
+}
+
+function getAssetName(asset) {
+  let dir = getPackageDir(asset);
+  if (dir) {
+    return path.relative(dir, asset.name).replace(/\\/g, '/');
+  }
+
+  return asset.relativeName;
+}
+
+module.exports = generateBundleReport;
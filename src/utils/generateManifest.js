@@ -0,0 +1,57 @@
+const path = require('path');
+const urlJoin = require('./urlJoin');
+const RawPackager = require('../packagers/RawPackager');
+
+/**
+ * Generates a manifest mapping each source asset (relative to the root directory)
+ * to the URLs of the bundles needed to load it, i.e. the bundle containing the
+ * asset along with its sibling bundles (e.g. the CSS imported from JS). Entry
+ * points and dynamic imports get their own bundles, so they map to the child
+ * bundles they were emitted in.
+ */
+function generateManifest(bundler, bundle, manifest = {}) {
+  let siblings = Array.from(bundle.siblingBundles.values());
+  let bundles = [bundle, ...siblings].filter(b => b.type && !b.isEmpty);
+  let getURL = name =>
+    urlJoin(
+      bundler.options.publicURL,
+      path.relative(bundler.options.outDir, name)
+    );
+
+  // Raw assets are copied to their own files (see RawPackager)
+  let isRaw = b => bundler.packagers.get(b.type) === RawPackager;
+  let urls = bundles.filter(b => !isRaw(b)).map(b => getURL(b.name));
+
+  for (let b of bundles) {
+    for (let asset of b.assets) {
+      if (isRaw(b)) {
+        manifest[asset.relativeName] = [
+          getURL(RawPackager.getAssetName(bundler, b, asset))
+        ];
+        continue;
+      }
+
+      let assetURLs = manifest[asset.relativeName] || [];
+      for (let url of urls) {
+        if (!assetURLs.includes(url)) {
+          assetURLs.push(url);
+        }
+      }
+
+      manifest[asset.relativeName] = assetURLs;
+    }
+  }
+
+  // Add the child bundles, e.g. dynamic imports. Sibling bundles were added along with this one.
+  for (let b of [bundle, ...siblings]) {
+    for (let child of b.childBundles) {
+      if (!siblings.includes(child)) {
+        generateManifest(bundler, child, manifest);
+      }
+    }
+  }
+
+  return manifest;
+}
+
+module.exports = generateManifest;
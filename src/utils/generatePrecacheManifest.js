@@ -0,0 +1,42 @@
+const path = require('path');
+const micromatch = require('micromatch');
+const urlJoin = require('./urlJoin');
+const RawPackager = require('../packagers/RawPackager');
+
+/**
+ * Generates the list of bundles for service workers to precache, with the URL of
+ * each bundle and a hash of its contents as the revision. Only the bundles matching
+ * the `precache` globs are listed, and service workers don't precache themselves.
+ */
+function generatePrecacheManifest(bundler, bundle, manifest = []) {
+  let {outDir, publicURL, precache} = bundler.options;
+  let add = (name, revision) => {
+    let file = path.relative(outDir, name).replace(/\\/g, '/');
+    let url = urlJoin(publicURL, file);
+    if (
+      micromatch.isMatch(file, precache) &&
+      !manifest.some(entry => entry.url === url)
+    ) {
+      manifest.push({url, revision});
+    }
+  };
+
+  if (bundle.type && !bundle.isEmpty && !bundle.isServiceWorker) {
+    if (bundler.packagers.get(bundle.type) === RawPackager) {
+      // Raw assets are copied to their own files (see RawPackager)
+      for (let asset of bundle.assets) {
+        add(RawPackager.getAssetName(bundler, bundle, asset), asset.hash);
+      }
+    } else {
+      add(bundle.name, bundle.getHash(bundler.bundleNameMap));
+    }
+  }
+
+  for (let child of bundle.childBundles) {
+    generatePrecacheManifest(bundler, child, manifest);
+  }
+
+  return manifest;
+}
+
+module.exports = generatePrecacheManifest;
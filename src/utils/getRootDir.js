@@ -0,0 +1,22 @@
+const path = require('path');
+
+/**
+ * Returns the deepest directory containing all of the given files.
+ */
+function getRootDir(files) {
+  let dirs = files.map(file => path.dirname(file).split(path.sep));
+  let root = dirs[0];
+
+  for (let dir of dirs.slice(1)) {
+    let i = 0;
+    while (i < root.length && root[i] === dir[i]) {
+      i++;
+    }
+
+    root = root.slice(0, i);
+  }
+
+  return root.join(path.sep) || path.sep;
+}
+
+module.exports = getRootDir;
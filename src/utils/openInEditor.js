@@ -0,0 +1,81 @@
+const {spawn} = require('child_process');
+const path = require('path');
+
+// The editors VISUAL and EDITOR are used for. They often name terminal editors (e.g. vim),
+// which can't be opened without a terminal, so they are ignored.
+const GUI_EDITORS = [
+  'code',
+  'code-insiders',
+  'codium',
+  'atom',
+  'subl',
+  'sublime_text',
+  'mate',
+  'gvim',
+  'mvim',
+  'idea',
+  'webstorm',
+  'phpstorm',
+  'pycharm'
+];
+
+function getEditorName(editor) {
+  return path.basename(editor).replace(/\.(exe|cmd|bat)$/i, '');
+}
+
+/**
+ * Returns the arguments to open a file at a line and column, in the syntax of the editor.
+ * Unknown editors are only given the file.
+ */
+function getEditorArgs(editor, file, line, column) {
+  switch (getEditorName(editor)) {
+    case 'code':
+    case 'code-insiders':
+    case 'codium':
+      return ['-g', `${file}:${line}:${column}`];
+    case 'atom':
+    case 'subl':
+    case 'sublime_text':
+      return [`${file}:${line}:${column}`];
+    case 'gvim':
+    case 'mvim':
+    case 'emacsclient':
+    case 'mate':
+      return [`+${line}`, file];
+    case 'idea':
+    case 'webstorm':
+    case 'phpstorm':
+    case 'pycharm':
+      return ['--line', String(line), file];
+    default:
+      return [file];
+  }
+}
+
+/**
+ * Opens a file in the editor set in the PARCEL_EDITOR environment variable, e.g. `code`
+ * or `subl -n`, or in the GUI editor set in VISUAL or EDITOR. Returns null when no editor
+ * is configured: the default application of a file may run it (e.g. .js files on Windows).
+ */
+function openInEditor(file, line = 1, column = 1) {
+  let editor =
+    process.env.PARCEL_EDITOR ||
+    [process.env.VISUAL, process.env.EDITOR].find(
+      editor =>
+        editor &&
+        GUI_EDITORS.includes(getEditorName(editor.trim().split(/\s+/)[0]))
+    );
+
+  if (!editor) {
+    return null;
+  }
+
+  let [command, ...args] = editor.trim().split(/\s+/);
+  args = args.concat(getEditorArgs(command, file, line, column));
+
+  let child = spawn(command, args, {detached: true, stdio: 'ignore'});
+  child.unref();
+  return child;
+}
+
+module.exports = openInEditor;
@@ -0,0 +1,178 @@
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const config = require('./config');
+
+/**
+ * Loads the proxy rules of the dev server, from the `proxy` option, a .proxyrc file or the
+ * `proxy` field in package.json, in that order of precedence. Rules map a path prefix to the
+ * host to forward the requests to, e.g. `{"/api": "http://localhost:3000"}`, or to an object
+ * with a `target`, and optionally `pathRewrite`, `headers` and `changeOrigin`.
+ */
+function loadProxyRules(bundler) {
+  let sources = [bundler.options.proxy];
+  if (bundler.mainFile) {
+    let rc = config.loadSync(bundler.mainFile, ['.proxyrc', '.proxyrc.js']);
+    let pkg = config.loadSync(bundler.mainFile, ['package.json']);
+    sources.push(rc && rc.config, pkg && pkg.config.proxy);
+  }
+
+  let rules = [];
+  for (let source of sources) {
+    if (!source || typeof source !== 'object') {
+      continue;
+    }
+
+    for (let prefix in source) {
+      if (rules.some(rule => rule.prefix === prefix)) {
+        continue;
+      }
+
+      let rule = source[prefix];
+      if (typeof rule === 'string') {
+        rule = {target: rule};
+      }
+
+      if (!rule || typeof rule.target !== 'string') {
+        throw new Error(
+          `Invalid proxy rule for "${prefix}". Expected a target URL.`
+        );
+      }
+
+      let pathRewrite = rule.pathRewrite || {};
+      rules.push({
+        prefix,
+        target: url.parse(rule.target),
+        pathRewrite: Object.keys(pathRewrite).map(pattern => [
+          new RegExp(pattern),
+          pathRewrite[pattern]
+        ]),
+        headers: rule.headers || {},
+        changeOrigin: !!rule.changeOrigin
+      });
+    }
+  }
+
+  // The most specific paths are matched first
+  return rules.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Returns the rule matching the path of a request, e.g. `/api` matches `/api` and
+ * `/api/users`, but not `/apis`.
+ */
+function findProxyRule(rules, reqURL) {
+  let pathname = url.parse(reqURL).pathname;
+  let rule = rules.find(
+    ({prefix}) =>
+      pathname === prefix ||
+      pathname.startsWith(prefix.endsWith('/') ? prefix : prefix + '/')
+  );
+
+  return rule || null;
+}
+
+/**
+ * Returns the options of the request to the target. The rewritten path is appended to
+ * the path of the target, and headers set to null in the rule are removed.
+ */
+function getRequestOptions(rule, req) {
+  let reqPath = req.url;
+  for (let [pattern, replacement] of rule.pathRewrite) {
+    reqPath = reqPath.replace(pattern, replacement);
+  }
+
+  if (!reqPath.startsWith('/')) {
+    reqPath = '/' + reqPath;
+  }
+
+  let headers = Object.assign({}, req.headers);
+  if (rule.changeOrigin) {
+    headers.host = rule.target.host;
+  }
+
+  for (let name in rule.headers) {
+    let value = rule.headers[name];
+    if (value == null) {
+      delete headers[name.toLowerCase()];
+    } else {
+      headers[name.toLowerCase()] = value;
+    }
+  }
+
+  return {
+    protocol: rule.target.protocol,
+    hostname: rule.target.hostname,
+    port: rule.target.port,
+    method: req.method,
+    path: (rule.target.pathname || '').replace(/\/$/, '') + reqPath,
+    headers
+  };
+}
+
+function request(rule, req) {
+  let options = getRequestOptions(rule, req);
+  return (options.protocol === 'https:' ? https : http).request(options);
+}
+
+/**
+ * Forwards a request to the target of the rule, and its response back to the client.
+ * `onError` is called when the request to the target fails, possibly after the headers
+ * of the response were sent.
+ */
+function proxyRequest(rule, req, res, onError) {
+  let proxyReq = request(rule, req);
+  proxyReq.on('response', proxyRes => {
+    res.writeHead(proxyRes.statusCode, proxyRes.headers);
+    proxyRes.pipe(res);
+
+    // Close the response if the target drops it, rather than leaving the client waiting
+    proxyRes.on('aborted', () => res.destroy());
+    proxyRes.on('error', () => res.destroy());
+  });
+
+  proxyReq.on('error', onError);
+  req.pipe(proxyReq);
+}
+
+/**
+ * Forwards a websocket to the target of the rule. The handshake of the target is sent
+ * back to the client, and then the sockets are piped together.
+ */
+function proxyUpgrade(rule, req, socket, head) {
+  let proxyReq = request(rule, req);
+  proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+    let lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`];
+    for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+      lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+    }
+
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+    if (proxyHead && proxyHead.length > 0) {
+      proxySocket.unshift(proxyHead);
+    }
+
+    if (head && head.length > 0) {
+      socket.unshift(head);
+    }
+
+    proxySocket.on('error', () => socket.destroy());
+    socket.on('error', () => proxySocket.destroy());
+    socket.pipe(proxySocket).pipe(socket);
+  });
+
+  // The target refused the websocket
+  proxyReq.on('response', proxyRes => {
+    socket.end(
+      `HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}\r\n\r\n`
+    );
+  });
+
+  proxyReq.on('error', () => socket.destroy());
+  proxyReq.end();
+}
+
+exports.loadProxyRules = loadProxyRules;
+exports.findProxyRule = findProxyRule;
+exports.proxyRequest = proxyRequest;
+exports.proxyUpgrade = proxyUpgrade;
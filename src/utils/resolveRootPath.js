@@ -0,0 +1,19 @@
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Resolves a path starting with `/` relative to the root of the project `from` belongs
+ * to, i.e. the directory of the nearest package.json. Absolute paths that are already
+ * inside the project (e.g. URLs rewritten by plugins) are returned as is.
+ */
+function resolveRootPath(filename, from, defaultRoot = path.dirname(from)) {
+  let pkg = config.resolveSync(from, ['package.json']);
+  let root = pkg ? path.dirname(pkg) : defaultRoot;
+  if (filename.startsWith(root + path.sep)) {
+    return filename;
+  }
+
+  return path.join(root, filename);
+}
+
+module.exports = resolveRootPath;
@@ -0,0 +1,17 @@
+// The modifiers of an import query, which change how a file is loaded, e.g. `./logo.svg?url`
+const QUERY_RE = /\?(url|inline|raw|module)$/;
+
+/**
+ * Splits the import query modifier from a path or specifier. Other queries are
+ * not supported, so `?` stays a glob wildcard otherwise.
+ */
+function splitQuery(name) {
+  let match = QUERY_RE.exec(name);
+  if (!match) {
+    return {path: name, query: ''};
+  }
+
+  return {path: name.slice(0, match.index), query: match[1]};
+}
+
+module.exports = splitQuery;
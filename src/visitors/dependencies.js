@@ -7,6 +7,7 @@ const matchesPattern = require('./matches-pattern');
 const requireTemplate = template('require("_bundle_loader")');
 const argTemplate = template('require.resolve(MODULE)');
 const serviceWorkerPattern = ['navigator', 'serviceWorker', 'register'];
+const PREFETCH_RE = /^\s*prefetch\s*$/;
 
 module.exports = {
   ImportDeclaration(node, asset) {
@@ -19,15 +20,26 @@ module.exports = {
     if (node.source) {
       addDependency(asset, node.source);
     }
+
+    for (let specifier of node.specifiers) {
+      asset.exports.names.push(specifier.exported.name);
+    }
+
+    if (node.declaration) {
+      let identifiers = types.getBindingIdentifiers(node.declaration);
+      asset.exports.names.push(...Object.keys(identifiers));
+    }
   },
 
   ExportAllDeclaration(node, asset) {
     asset.isES6Module = true;
     addDependency(asset, node.source);
+    asset.exports.all.push(node.source.value);
   },
 
   ExportDefaultDeclaration(node, asset) {
     asset.isES6Module = true;
+    asset.exports.names.push('default');
   },
 
   CallExpression(node, asset) {
@@ -53,6 +65,16 @@ module.exports = {
       asset.addDependency('_bundle_loader');
       addDependency(asset, args[0], {dynamic: true});
 
+      // With a `/* prefetch */` hint, the bundles are prefetched as soon as the module runs
+      let comments = args[0].leadingComments || [];
+      if (comments.some(comment => PREFETCH_RE.test(comment.value))) {
+        let name = JSON.stringify(args[0].value);
+        asset.globals.set(
+          'prefetch:' + args[0].value,
+          `require("_bundle_loader").prefetch(require.resolve(${name}));`
+        );
+      }
+
       node.callee = requireTemplate().expression;
       node.arguments[0] = argTemplate({MODULE: args[0]}).expression;
       asset.isAstDirty = true;
@@ -64,7 +86,7 @@ module.exports = {
       matchesPattern(callee, serviceWorkerPattern);
 
     if (isRegisterServiceWorker) {
-      addURLDependency(asset, args[0]);
+      addURLDependency(asset, args[0], {serviceWorker: true});
       return;
     }
   },
@@ -90,8 +112,8 @@ function addDependency(asset, node, opts = {}) {
   asset.addDependency(node.value, opts);
 }
 
-function addURLDependency(asset, node) {
-  let assetPath = asset.addURLDependency(node.value);
+function addURLDependency(asset, node, opts) {
+  let assetPath = asset.addURLDependency(node.value, opts);
   if (!isURL(assetPath)) {
     assetPath = urlJoin(asset.options.publicURL, assetPath);
   }
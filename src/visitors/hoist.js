@@ -0,0 +1,244 @@
+const t = require('babel-types');
+const babylon = require('babylon');
+const md5 = require('../utils/md5');
+
+// Free variables that make a module unsafe to concatenate with others
+const UNSAFE_GLOBALS = new Set(['module', 'exports', 'eval', 'require']);
+
+/**
+ * Prepares an ES module to be concatenated into a single scope with other modules
+ * by the JSPackager. All top-level bindings are renamed with a prefix unique to the
+ * asset, imports are replaced by placeholders that the packager resolves to the
+ * bindings of the imported module, and the exports are collected into
+ * `asset.hoist` so that the packager can link the modules together.
+ *
+ * Modules that can't be hoisted safely (e.g. they reference `module`, `exports`,
+ * `eval`, or call `require` dynamically) are left untouched, and `asset.hoist`
+ * stays null so they fall back to the regular CommonJS wrapper.
+ */
+module.exports = {
+  Program(path, asset) {
+    path.skip();
+
+    if (!isHoistable(path)) {
+      return;
+    }
+
+    let prefix = '$' + md5(asset.name).slice(0, 8) + '$';
+    let hoist = (asset.hoist = {
+      prefix,
+      exports: {},
+      reexports: {},
+      starExports: [],
+      imports: {},
+      deps: {}
+    });
+
+    let requires = [];
+    function getDep(source) {
+      if (!hoist.deps.hasOwnProperty(source)) {
+        let id = prefix + 'dep$' + requires.length;
+        hoist.deps[source] = id;
+        requires.push(
+          t.variableDeclaration('var', [
+            t.variableDeclarator(
+              t.identifier(id),
+              t.callExpression(t.identifier('require'), [
+                t.stringLiteral(source)
+              ])
+            )
+          ])
+        );
+      }
+
+      return hoist.deps[source];
+    }
+
+    // Insert the globals (e.g. process, Buffer) used by the module, so they are renamed like any other binding
+    if (asset.globals.size > 0) {
+      let globals = Array.from(asset.globals.values()).join('\n');
+      path.node.body.unshift(...babylon.parse(globals).program.body);
+      asset.globals.clear();
+      path.scope.crawl();
+    }
+
+    // Imports are handled first, so that re-exported imports already refer to the placeholders
+    for (let stmt of path.get('body')) {
+      if (stmt.isImportDeclaration()) {
+        let source = stmt.node.source.value;
+        let dep = getDep(source);
+        for (let specifier of stmt.get('specifiers')) {
+          let local = specifier.node.local.name;
+          if (specifier.isImportNamespaceSpecifier()) {
+            renameNamespace(stmt.scope, local, dep, hoist, source);
+          } else {
+            let imported = specifier.isImportDefaultSpecifier()
+              ? 'default'
+              : specifier.node.imported.name;
+
+            let id = getImportId(dep, imported);
+            hoist.imports[id] = [source, imported];
+            stmt.scope.rename(local, id);
+          }
+        }
+
+        stmt.remove();
+      }
+    }
+
+    for (let stmt of path.get('body')) {
+      if (stmt.isExportNamedDeclaration()) {
+        let {declaration, source, specifiers} = stmt.node;
+        if (source) {
+          getDep(source.value);
+          for (let specifier of specifiers) {
+            let imported = t.isExportNamespaceSpecifier(specifier)
+              ? '*'
+              : t.isExportDefaultSpecifier(specifier)
+                ? 'default'
+                : specifier.local.name;
+
+            hoist.reexports[specifier.exported.name] = [source.value, imported];
+          }
+
+          stmt.remove();
+        } else if (declaration) {
+          for (let name in t.getBindingIdentifiers(declaration)) {
+            hoist.exports[name] = name;
+          }
+
+          stmt.replaceWith(declaration);
+        } else {
+          for (let specifier of specifiers) {
+            hoist.exports[specifier.exported.name] = specifier.local.name;
+          }
+
+          stmt.remove();
+        }
+      } else if (stmt.isExportDefaultDeclaration()) {
+        let declaration = stmt.node.declaration;
+        let id = prefix + 'export$default';
+
+        if (
+          t.isFunctionDeclaration(declaration) ||
+          t.isClassDeclaration(declaration)
+        ) {
+          if (!declaration.id) {
+            declaration.id = t.identifier(id);
+          }
+
+          hoist.exports.default = declaration.id.name;
+          stmt.replaceWith(declaration);
+        } else {
+          hoist.exports.default = id;
+          stmt.replaceWith(
+            t.variableDeclaration('var', [
+              t.variableDeclarator(t.identifier(id), declaration)
+            ])
+          );
+        }
+      } else if (stmt.isExportAllDeclaration()) {
+        let source = stmt.node.source.value;
+        getDep(source);
+        hoist.starExports.push(source);
+        stmt.remove();
+      }
+    }
+
+    // Rename all of the top-level bindings so they don't conflict with other modules
+    path.scope.crawl();
+    let renamed = {};
+    for (let name in path.scope.bindings) {
+      if (!name.startsWith(prefix)) {
+        renamed[name] = prefix + 'var$' + name;
+        path.scope.rename(name, renamed[name]);
+      }
+    }
+
+    for (let name in hoist.exports) {
+      let local = hoist.exports[name];
+      if (renamed.hasOwnProperty(local)) {
+        hoist.exports[name] = renamed[local];
+      }
+    }
+
+    // The dependencies are required before the module body, in import order
+    path.node.body.unshift(...requires);
+    asset.isAstDirty = true;
+  }
+};
+
+function isHoistable(path) {
+  let hoistable = true;
+  path.traverse({
+    ReferencedIdentifier(ident) {
+      let name = ident.node.name;
+      if (
+        !UNSAFE_GLOBALS.has(name) ||
+        ident.scope.hasBinding(name, true) ||
+        (name === 'require' && isStaticRequire(ident))
+      ) {
+        return;
+      }
+
+      hoistable = false;
+      ident.stop();
+    }
+  });
+
+  return hoistable;
+}
+
+// e.g. require('foo') or require.resolve('foo')
+function isStaticRequire(path) {
+  let call = path.parentPath;
+  if (
+    call.isMemberExpression({object: path.node}) &&
+    t.isIdentifier(call.node.property, {name: 'resolve'})
+  ) {
+    call = call.parentPath;
+  }
+
+  return (
+    call.isCallExpression() &&
+    call.node.arguments.length === 1 &&
+    t.isStringLiteral(call.node.arguments[0])
+  );
+}
+
+function getImportId(dep, imported) {
+  return (
+    dep.replace(/dep\$/, 'import$') + (imported === '*' ? '' : '$' + imported)
+  );
+}
+
+/**
+ * Replaces namespace imports that are only used to access properties, e.g.
+ * `ns.foo`, with named imports so that unused exports can be removed.
+ * Otherwise, the whole namespace object is imported.
+ */
+function renameNamespace(scope, local, dep, hoist, source) {
+  let binding = scope.getBinding(local);
+  let isStatic = binding.referencePaths.every(ref => {
+    let parent = ref.parentPath;
+    return (
+      parent.isMemberExpression({object: ref.node, computed: false}) &&
+      !parent.parentPath.isAssignmentExpression({left: parent.node}) &&
+      !parent.parentPath.isUpdateExpression() &&
+      !parent.parentPath.isCallExpression({callee: parent.node})
+    );
+  });
+
+  if (isStatic) {
+    for (let ref of binding.referencePaths) {
+      let imported = ref.parent.property.name;
+      let id = getImportId(dep, imported);
+      hoist.imports[id] = [source, imported];
+      ref.parentPath.replaceWith(t.identifier(id));
+    }
+  } else {
+    let id = getImportId(dep, '*');
+    hoist.imports[id] = [source, '*'];
+    scope.rename(local, id);
+  }
+}
@@ -1,5 +1,7 @@
 const assert = require('assert');
-const {bundler, nextBundle} = require('./utils');
+const fs = require('fs');
+const path = require('path');
+const {bundler, bundle, run, nextBundle, assertBundleTree} = require('./utils');
 
 describe('bundler', function() {
   it('should bundle once before exporting middleware', async function() {
@@ -9,4 +11,146 @@ describe('bundler', function() {
     await nextBundle(b);
     assert(b.mainAsset);
   });
+
+  it('should write a manifest of the output bundles', async function() {
+    await bundle(__dirname + '/integration/content-hash/index.html', {
+      contentHash: true,
+      manifest: true
+    });
+
+    let files = fs.readdirSync(__dirname + '/dist');
+    let find = re => '/dist/' + files.find(f => re.test(f));
+    let manifest = JSON.parse(
+      fs.readFileSync(__dirname + '/dist/manifest.json', 'utf8')
+    );
+
+    // Assets map to their bundle, along with its sibling bundles
+    let index = [find(/^index\..+\.js$/), find(/^index\..+\.css$/)];
+    assert.deepEqual(manifest['index.html'], ['/dist/index.html']);
+    assert.deepEqual(manifest['index.js'], index);
+    assert.deepEqual(manifest['index.css'], index);
+    assert.deepEqual(manifest['image.txt'], [find(/^image\..+\.txt$/)]);
+    assert.deepEqual(manifest['lazy.js'], [find(/^lazy\..+\.js$/)]);
+  });
+
+  it('should not write a manifest by default', async function() {
+    await bundle(__dirname + '/integration/commonjs/index.js');
+    assert(!fs.existsSync(__dirname + '/dist/manifest.json'));
+  });
+
+  it('should write a report of the bundle sizes', async function() {
+    await bundle(__dirname + '/integration/content-hash/index.html', {
+      contentHash: false,
+      report: true
+    });
+
+    let html = fs.readFileSync(__dirname + '/dist/report.html', 'utf8');
+    let data = JSON.parse(html.match(/var data = (.*);\n/)[1]);
+    let bundles = data.children.map(b => b.name);
+    assert(bundles.includes('index.html'));
+
+    // Assets are grouped by package in each bundle, including dynamic child bundles
+    let assets = data.children.reduce(
+      (assets, b) =>
+        assets.concat(...b.children.map(p => p.children.map(a => a.name))),
+      []
+    );
+    assert(assets.includes('lazy.js'));
+    assert(assets.includes('index.css'));
+
+    let index = data.children.find(
+      b =>
+        b.type === 'js' &&
+        b.children[0].children.some(a => a.name === 'index.js')
+    );
+    let project = index.children.find(p => p.name === '(project)');
+    let asset = project.children.find(a => a.name === 'index.js');
+    assert(asset.raw > 0);
+    assert(asset.minified > 0);
+    assert(asset.gzip > 0);
+  });
+
+  it('should write the report data as is', async function() {
+    await bundle(__dirname + '/integration/report-patterns/index.js', {
+      report: true
+    });
+
+    // Not expanded like a replacement pattern
+    let html = fs.readFileSync(__dirname + '/dist/report.html', 'utf8');
+    let data = JSON.parse(html.match(/var data = (.*);\n/)[1]);
+    let assets = data.children[0].children[0].children.map(a => a.name);
+    assert(assets.includes('$&.js'));
+  });
+
+  it('should write a trace of the build when profiling', async function() {
+    await bundle(__dirname + '/integration/commonjs/index.js', {
+      profile: true
+    });
+
+    let trace = JSON.parse(
+      fs.readFileSync(__dirname + '/dist/profile.json', 'utf8')
+    );
+    let events = trace.traceEvents.filter(e => e.ph === 'X');
+    let phases = new Set(events.map(e => e.cat));
+    for (let phase of ['load', 'transform', 'generate', 'resolve', 'package']) {
+      assert(phases.has(phase), `missing ${phase} phase`);
+    }
+
+    assert(events.some(e => e.name === 'transform index.js'));
+    assert(events.every(e => e.ts > 0 && e.dur >= 0));
+  });
+
+  it('should bundle multiple entry points', async function() {
+    let b = await bundle([
+      __dirname + '/integration/multi-entry/one.js',
+      __dirname + '/integration/multi-entry/two.js'
+    ]);
+
+    assertBundleTree(b, {
+      childBundles: [
+        {
+          name: 'one.js',
+          assets: ['one.js', 'shared.js']
+        },
+        {
+          name: 'two.js',
+          assets: ['two.js', 'shared.js']
+        }
+      ]
+    });
+
+    let [one, two] = Array.from(b.childBundles);
+    assert.equal(run(one), 2);
+    assert.equal(run(two), 3);
+  });
+
+  it('should expand globs into entry points', async function() {
+    let b = await bundle(__dirname + '/integration/multi-entry/*.js');
+
+    assert.deepEqual(
+      Array.from(b.childBundles)
+        .map(bundle => path.basename(bundle.name))
+        .sort(),
+      ['one.js', 'two.js']
+    );
+  });
+
+  it('should keep the directory structure of entry points', async function() {
+    await bundle([
+      __dirname + '/integration/multi-entry-html/index.html',
+      __dirname + '/integration/multi-entry-html/admin/index.html'
+    ]);
+
+    let html = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    let admin = fs.readFileSync(__dirname + '/dist/admin/index.html', 'utf8');
+    assert(html.includes('/dist/admin/index.html'));
+
+    // The shared script is only bundled once
+    let script = /<script src="([^"]+)">/;
+    assert.equal(html.match(script)[1], admin.match(script)[1]);
+    assert.equal(
+      fs.readdirSync(__dirname + '/dist').filter(f => f.endsWith('.js')).length,
+      1
+    );
+  });
 });
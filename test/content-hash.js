@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const rimraf = require('rimraf');
+const {
+  bundle,
+  bundler,
+  run,
+  nextBundle,
+  getOriginalPosition
+} = require('./utils');
+const promisify = require('../src/utils/promisify');
+const ncp = promisify(require('ncp'));
+
+describe('content hash', function() {
+  let b;
+  beforeEach(function() {
+    rimraf.sync(__dirname + '/input');
+  });
+
+  afterEach(function() {
+    if (b) {
+      b.stop();
+      b = null;
+    }
+  });
+
+  function getFiles() {
+    return fs.readdirSync(__dirname + '/dist').filter(f => !f.endsWith('.map'));
+  }
+
+  it('should include a content hash in the names of non-entry bundles', async function() {
+    let html = await bundle(
+      __dirname + '/integration/content-hash/index.html',
+      {
+        contentHash: true
+      }
+    );
+
+    let files = getFiles();
+    let js = files.filter(f => /^index\.[0-9a-f]{8}\.js$/.test(f));
+    let lazy = files.filter(f => /^lazy\.[0-9a-f]{8}\.js$/.test(f));
+    let css = files.filter(f => /^index\.[0-9a-f]{8}\.css$/.test(f));
+    let txt = files.filter(f => /^image\.[0-9a-f]{8}\.txt$/.test(f));
+    assert.equal(js.length, 1);
+    assert.equal(lazy.length, 1);
+    assert.equal(css.length, 1);
+    assert.equal(txt.length, 1);
+    assert.equal(files.length, 5);
+
+    // The HTML entry keeps its name, and references the hashed names
+    let contents = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    assert(contents.includes(`/dist/${js[0]}`));
+    assert(contents.includes(`/dist/${css[0]}`));
+
+    let cssContents = fs.readFileSync(__dirname + '/dist/' + css[0], 'utf8');
+    assert(cssContents.includes(txt[0]));
+
+    let jsBundle = Array.from(html.childBundles).find(b => b.type === 'js');
+    assert.equal(path.basename(jsBundle.name), js[0]);
+
+    let output = run(jsBundle);
+    assert.equal(await output(), `lazy /dist/${txt[0]}`);
+  });
+
+  it('should keep the original names when disabled', async function() {
+    await bundle(__dirname + '/integration/content-hash/index.html', {
+      contentHash: false
+    });
+
+    assert(getFiles().every(f => !/\.[0-9a-f]{8}\./.test(f)));
+  });
+
+  it('should change the hash when the contents of a bundle change', async function() {
+    await ncp(__dirname + '/integration/content-hash', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.html', {
+      contentHash: true,
+      watch: true
+    });
+    await b.bundle();
+
+    let lazy = getFiles().find(f => f.startsWith('lazy.'));
+    let js = getFiles().find(f => /^index\..*\.js$/.test(f));
+
+    fs.writeFileSync(
+      __dirname + '/input/lazy.js',
+      'module.exports = "changed";'
+    );
+    await nextBundle(b);
+
+    // The lazy bundle changed, and so did the bundle referencing it
+    let files = getFiles();
+    let newLazy = files.find(f => f.startsWith('lazy.') && f !== lazy);
+    let newJS = files.find(f => /^index\..*\.js$/.test(f) && f !== js);
+    assert(newLazy);
+    assert(newJS);
+
+    let contents = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    assert(contents.includes(`/dist/${newJS}`));
+  });
+
+  it('should not repackage the bundles that do not reference a renamed bundle', async function() {
+    await ncp(__dirname + '/integration/content-hash', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.html', {
+      contentHash: true,
+      watch: true
+    });
+    await b.bundle();
+
+    let css = getFiles().find(f => f.endsWith('.css'));
+    let mtime = fs.statSync(__dirname + '/dist/' + css).mtimeMs;
+
+    fs.writeFileSync(
+      __dirname + '/input/lazy.js',
+      'module.exports = "changed";'
+    );
+    await nextBundle(b);
+
+    // The CSS bundle only references the text file, so renaming the lazy bundle leaves it as is
+    assert.equal(getFiles().find(f => f.endsWith('.css')), css);
+    assert.equal(fs.statSync(__dirname + '/dist/' + css).mtimeMs, mtime);
+  });
+
+  it('should keep the source map columns after the hashed names', async function() {
+    await bundle(__dirname + '/integration/content-hash/index.html', {
+      contentHash: true
+    });
+
+    let css = getFiles().find(f => f.endsWith('.css'));
+    let position = getOriginalPosition(__dirname + '/dist/' + css, 'color');
+    assert.equal(position.source, '../integration/content-hash/index.css');
+    assert.equal(position.line, 2);
+    assert.equal(position.column, 32);
+  });
+});
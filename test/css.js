@@ -1,6 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
-const {bundle, run, assertBundleTree} = require('./utils');
+const {bundle, run, assertBundleTree, getOriginalPosition} = require('./utils');
 const promisify = require('../src/utils/promisify');
 const ncp = promisify(require('ncp'));
 const rimraf = require('rimraf');
@@ -83,6 +83,22 @@ describe('css', function() {
     assert(css.includes('.index'));
   });
 
+  it('should generate a source map for the CSS bundle', async function() {
+    await bundle(__dirname + '/integration/css-import/index.js');
+
+    let file = __dirname + '/dist/index.css';
+    let css = fs.readFileSync(file, 'utf8');
+    assert(css.includes('/*# sourceMappingURL=index.css.map */'));
+
+    let position = getOriginalPosition(file, '.other');
+    assert.equal(position.source, '../integration/css-import/other.css');
+    assert.equal(position.line, 3);
+
+    position = getOriginalPosition(file, '.index');
+    assert.equal(position.source, '../integration/css-import/index.css');
+    assert.equal(position.line, 3);
+  });
+
   it('should support linking to assets with url() from CSS', async function() {
     let b = await bundle(__dirname + '/integration/css-url/index.js');
 
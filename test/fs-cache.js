@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const rimraf = require('rimraf');
+const FSCache = require('../src/FSCache');
+const {bundle, run} = require('./utils');
+const promisify = require('../src/utils/promisify');
+const ncp = promisify(require('ncp'));
+
+const cacheDir = path.join(__dirname, 'input', '.cache');
+
+describe('fs cache', function() {
+  beforeEach(function() {
+    rimraf.sync(__dirname + '/input');
+  });
+
+  it('should reuse cache entries when only the mtime of the file changes', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    let file = __dirname + '/input/local.js';
+    let cache = new FSCache({cacheDir});
+    let data = {dependencies: [], generated: {js: 'cached'}, hash: 'abc'};
+    await cache.write(file, data);
+
+    // e.g. git checkout sets the mtime to the current time
+    let future = new Date(Date.now() + 60000);
+    fs.utimesSync(file, future, future);
+    assert.deepEqual(await cache.read(file), data);
+
+    fs.writeFileSync(file, 'exports.a = 5; exports.b = 5;');
+    assert.equal(await cache.read(file), null);
+  });
+
+  it('should invalidate cache entries when an included file changes', async function() {
+    await ncp(__dirname + '/integration/fs', __dirname + '/input');
+
+    let b = await bundle(__dirname + '/input/index.js', {
+      cache: true,
+      cacheDir
+    });
+    assert.equal(run(b), 'hello');
+
+    fs.writeFileSync(__dirname + '/input/test.txt', 'world');
+
+    b = await bundle(__dirname + '/input/index.js', {cache: true, cacheDir});
+    assert.equal(run(b), 'world');
+  });
+
+  it('should invalidate cache entries when a config file changes', async function() {
+    await ncp(
+      __dirname + '/integration/typescript-config',
+      __dirname + '/input'
+    );
+
+    await bundle(__dirname + '/input/index.ts', {cache: true, cacheDir});
+    let js = fs.readFileSync(__dirname + '/dist/index.js', 'utf8');
+    assert(!js.includes('test comment'));
+
+    fs.writeFileSync(
+      __dirname + '/input/tsconfig.json',
+      JSON.stringify({compilerOptions: {removeComments: false}})
+    );
+
+    await bundle(__dirname + '/input/index.ts', {cache: true, cacheDir});
+    js = fs.readFileSync(__dirname + '/dist/index.js', 'utf8');
+    assert(js.includes('test comment'));
+  });
+
+  it('should cache the assets of a file imported with different queries separately', async function() {
+    await ncp(__dirname + '/integration/import-query', __dirname + '/input');
+    fs.writeFileSync(
+      __dirname + '/input/index.js',
+      `module.exports = {
+        url: require('./logo.svg?url'),
+        inline: require('./logo.svg?inline'),
+        raw: require('./shader.glsl?raw')
+      };`
+    );
+
+    await bundle(__dirname + '/input/index.js', {cache: true, cacheDir});
+    let b = await bundle(__dirname + '/input/index.js', {
+      cache: true,
+      cacheDir
+    });
+
+    let output = run(b);
+    assert(/^\/dist\/[0-9a-f]+\.svg$/.test(output.url));
+    assert(output.inline.startsWith('data:image/svg+xml,'));
+
+    // Changing the file invalidates the assets of each query
+    fs.writeFileSync(__dirname + '/input/shader.glsl', 'changed');
+    b = await bundle(__dirname + '/input/index.js', {cache: true, cacheDir});
+    assert.equal(run(b).raw, 'changed');
+  });
+
+  it('should evict the least recently used entries over the max size', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    let cache = new FSCache({cacheDir});
+    let files = ['index.js', 'local.js'].map(f => __dirname + '/input/' + f);
+    for (let file of files) {
+      await cache.write(file, {dependencies: [], generated: {js: 'x'}});
+    }
+
+    // Reading an entry marks it as recently used
+    let past = new Date(Date.now() - 60000);
+    for (let entry of await cache.getEntries()) {
+      fs.utimesSync(entry.file, past, past);
+    }
+    assert(await cache.read(files[1]));
+
+    let {entries, size} = await cache.stats();
+    assert.equal(entries, 2);
+
+    let removed = await cache.evict(size - 1);
+    assert.equal(removed.length, 1);
+    assert.equal(await cache.read(files[0]), null);
+    assert(await cache.read(files[1]));
+  });
+
+  it('should prune entries of deleted files', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    let cache = new FSCache({cacheDir});
+    let files = ['index.js', 'local.js'].map(f => __dirname + '/input/' + f);
+    for (let file of files) {
+      await cache.write(file, {dependencies: [], generated: {js: 'x'}});
+    }
+
+    fs.unlinkSync(files[0]);
+    assert.equal((await cache.prune()).length, 1);
+    assert.equal((await cache.stats()).entries, 1);
+
+    assert.equal((await cache.clean()).length, 1);
+    assert(!fs.existsSync(cacheDir));
+  });
+});
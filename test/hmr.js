@@ -41,6 +41,19 @@ describe('hmr', function() {
     });
   }
 
+  function nextMessages(ws, count) {
+    return new Promise(resolve => {
+      let msgs = [];
+      ws.on('message', function onMessage(data) {
+        msgs.push(JSON.parse(data));
+        if (msgs.length === count) {
+          ws.removeListener('message', onMessage);
+          resolve(msgs);
+        }
+      });
+    });
+  }
+
   it('should emit an HMR update for the file that changed', async function() {
     await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
 
@@ -150,6 +163,163 @@ describe('hmr', function() {
     assert.equal(msg2.type, 'error-resolved');
   });
 
+  it('should serve the HMR websocket on the port of the dev server', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let server = await b.serve(0);
+
+    try {
+      await nextEvent(b, 'bundled');
+      assert.equal(b.options.hmrPort, null);
+
+      ws = new WebSocket('ws://localhost:' + server.address().port);
+      await nextEvent(ws, 'open');
+
+      fs.writeFileSync(
+        __dirname + '/input/local.js',
+        'exports.a = 5; exports.b = 5;'
+      );
+
+      let msg = JSON.parse(await nextEvent(ws, 'message'));
+      assert.equal(msg.type, 'update');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should connect to the HMR websocket through the host of the page', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let server = await b.serve(0);
+    let urls = [];
+    let globals = {
+      WebSocket: function(url) {
+        urls.push(url);
+      },
+      location: {protocol: 'https:', hostname: 'example.com', port: '8443'}
+    };
+
+    try {
+      run(await nextEvent(b, 'bundled'), globals);
+      assert.deepEqual(urls, ['wss://example.com:8443/']);
+    } finally {
+      server.close();
+      b.stop();
+    }
+
+    // A public hostname, e.g. behind a proxy, with the port of the HMR server
+    b = bundler(__dirname + '/input/index.js', {
+      watch: true,
+      hmr: true,
+      hmrHostname: 'dev.example.com'
+    });
+    run(await b.bundle(), globals);
+    assert.equal(urls[1], `wss://dev.example.com:${b.options.hmrPort}/`);
+  });
+
+  it('should send the updates a client missed when it reconnects', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    await b.bundle();
+
+    ws = new WebSocket('ws://localhost:' + b.options.hmrPort);
+    await nextEvent(ws, 'open');
+    ws.send(JSON.stringify({type: 'resync', hash: null}));
+
+    let [{type, hash}] = await nextMessages(ws, 1);
+    assert.equal(type, 'hash');
+    assert.equal(hash, b.hmr.hash);
+
+    fs.writeFileSync(
+      __dirname + '/input/local.js',
+      'exports.a = 5; exports.b = 5;'
+    );
+
+    let msgs = await nextMessages(ws, 2);
+    assert.deepEqual(msgs.map(msg => msg.type), ['update', 'hash']);
+    assert.notEqual(msgs[1].hash, hash);
+
+    ws.send(JSON.stringify({type: 'resync', hash}));
+    let missed = await nextMessages(ws, 2);
+    assert.deepEqual(missed, msgs);
+
+    // Clients that missed builds the server doesn't know of reload the page
+    ws.send(JSON.stringify({type: 'resync', hash: 'unknown'}));
+    missed = await nextMessages(ws, 2);
+    assert.deepEqual(missed.map(msg => msg.type), ['reload', 'hash']);
+  });
+
+  it('should ignore malformed messages from clients', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    await b.bundle();
+
+    ws = new WebSocket('ws://localhost:' + b.options.hmrPort);
+    await nextEvent(ws, 'open');
+    ws.send('not json');
+    ws.send('null');
+
+    // The server still answers the runtime
+    ws.send(JSON.stringify({type: 'resync', hash: null}));
+    let [msg] = await nextMessages(ws, 1);
+    assert.equal(msg.type, 'hash');
+  });
+
+  it('should reconnect and apply the updates it missed in the runtime', async function() {
+    await ncp(__dirname + '/integration/hmr', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let bundle = await b.bundle();
+    let outputs = [];
+    let body = {
+      children: [],
+      appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+      },
+      removeChild(child) {
+        this.children.splice(this.children.indexOf(child), 1);
+      }
+    };
+
+    run(bundle, {
+      output(o) {
+        outputs.push(o);
+      },
+      document: {
+        body,
+        createElement(tag) {
+          return {tag, style: {}};
+        }
+      }
+    });
+
+    await sleep(100);
+    for (let client of b.hmr.wss.clients) {
+      client.terminate();
+    }
+
+    fs.writeFileSync(
+      __dirname + '/input/local.js',
+      'exports.a = 5; exports.b = 5;'
+    );
+
+    await nextEvent(b, 'bundled');
+    assert.equal(body.children.length, 1);
+    assert.deepEqual(outputs, [3]);
+
+    for (let i = 0; i < 30 && outputs.length < 2; i++) {
+      await sleep(100);
+    }
+
+    assert.deepEqual(outputs, [3, 10]);
+    assert.equal(body.children.length, 0);
+  });
+
   it('should accept HMR updates in the runtime', async function() {
     await ncp(__dirname + '/integration/hmr', __dirname + '/input');
 
@@ -224,6 +394,131 @@ describe('hmr', function() {
     assert.deepEqual(outputs, [3, 10]);
   });
 
+  it('should pass data to the new instance and accept updates of dependencies', async function() {
+    await ncp(__dirname + '/integration/hmr-api', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let bundle = await b.bundle();
+    let outputs = [];
+
+    run(bundle, {
+      output(o) {
+        outputs.push(o);
+      }
+    });
+
+    assert.deepEqual(outputs, ['count 0', 'index 3']);
+
+    fs.writeFileSync(
+      __dirname + '/input/local.js',
+      'exports.a = 5; exports.b = 5;'
+    );
+
+    await nextEvent(b, 'bundled');
+    await sleep(50);
+    assert.deepEqual(outputs.splice(2), ['check', 'apply', 'local 10', 'idle']);
+
+    fs.appendFileSync(__dirname + '/input/counter.js', '\n// changed');
+
+    await nextEvent(b, 'bundled');
+    await sleep(50);
+    assert.deepEqual(outputs.splice(2), ['check', 'apply', 'count 1', 'idle']);
+  });
+
+  it('should pass the updates of invalidated modules on to their parents', async function() {
+    await ncp(__dirname + '/integration/hmr-api', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let bundle = await b.bundle();
+    let outputs = [];
+
+    run(bundle, {
+      output(o) {
+        outputs.push(o);
+      }
+    });
+
+    fs.appendFileSync(__dirname + '/input/invalid.js', '\n// changed');
+
+    await nextEvent(b, 'bundled');
+    await sleep(50);
+    assert.deepEqual(outputs.splice(2), [
+      'check',
+      'apply',
+      'idle',
+      'check',
+      'apply',
+      'invalidated',
+      'idle'
+    ]);
+  });
+
+  it('should apply the invalidations of modules once the update is applied', async function() {
+    await ncp(__dirname + '/integration/hmr-api', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let bundle = await b.bundle();
+    let outputs = [];
+
+    run(bundle, {
+      output(o) {
+        outputs.push(o);
+      }
+    });
+
+    fs.appendFileSync(__dirname + '/input/leaf.js', '\n// changed');
+
+    // The invalidated module runs again before its parent accepts it
+    await nextEvent(b, 'bundled');
+    await sleep(50);
+    assert.deepEqual(outputs.splice(2), [
+      'check',
+      'apply',
+      'idle',
+      'check',
+      'apply',
+      'wrapper',
+      'wrapper accepted',
+      'idle'
+    ]);
+  });
+
+  it('should reload the page when an update is declined or not accepted', async function() {
+    await ncp(__dirname + '/integration/hmr-api', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let bundle = await b.bundle();
+    let outputs = [];
+    let reloads = 0;
+
+    run(bundle, {
+      output(o) {
+        outputs.push(o);
+      },
+      location: {
+        hostname: 'localhost',
+        reload() {
+          reloads++;
+        }
+      }
+    });
+
+    fs.appendFileSync(__dirname + '/input/declined.js', '\n// changed');
+
+    await nextEvent(b, 'bundled');
+    await sleep(50);
+    assert.deepEqual(outputs.splice(2), ['check', 'abort']);
+    assert.equal(reloads, 1);
+
+    // The entry does not accept its own updates
+    fs.appendFileSync(__dirname + '/input/index.js', '\n// changed');
+
+    await nextEvent(b, 'bundled');
+    await sleep(50);
+    assert.deepEqual(outputs.splice(2), ['check', 'abort']);
+    assert.equal(reloads, 2);
+  });
+
   it('should log emitted errors', async function() {
     await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
 
@@ -250,6 +545,73 @@ describe('hmr', function() {
     assert(logs[0].trim().startsWith('[parcel] 🚨'));
   });
 
+  it('should show an error overlay until the error is resolved', async function() {
+    await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {watch: true, hmr: true});
+    let bundle = await b.bundle();
+
+    function createElement(tag) {
+      return {
+        tag,
+        style: {},
+        children: [],
+        appendChild(child) {
+          child.parentNode = this;
+          this.children.push(child);
+        },
+        removeChild(child) {
+          this.children.splice(this.children.indexOf(child), 1);
+        }
+      };
+    }
+
+    let body = createElement('body');
+    let requests = [];
+    run(bundle, {
+      console: {error() {}, log() {}},
+      document: {body, createElement},
+      XMLHttpRequest: function() {
+        this.open = (method, url) => requests.push(method + ' ' + url);
+        this.send = () => {};
+      }
+    });
+
+    fs.writeFileSync(
+      __dirname + '/input/local.js',
+      'require("fs"; exports.a = 5; exports.b = 5;'
+    );
+    await nextEvent(b, 'buildEnd');
+    await sleep(50);
+
+    assert.equal(body.children.length, 1);
+    let text = body.children[0].children.map(child => child.textContent);
+    let file = path.join(__dirname, '/input/local.js');
+    assert(text.includes(file + ':1:12'));
+    assert(
+      text.includes(
+        '> 1 | require("fs"; exports.a = 5; exports.b = 5;\n    |             ^'
+      )
+    );
+
+    let link = body.children[0].children.find(child => child.tag === 'a');
+    link.onclick();
+    assert.deepEqual(requests, [
+      `POST /__parcel_launch_editor?file=${encodeURIComponent(
+        file
+      )}&line=1&column=12`
+    ]);
+
+    fs.writeFileSync(
+      __dirname + '/input/local.js',
+      'require("fs"); exports.a = 5; exports.b = 5;'
+    );
+    await nextEvent(b, 'buildEnd');
+    await sleep(50);
+
+    assert.equal(body.children.length, 0);
+  });
+
   it('should log when errors resolve', async function() {
     await ncp(__dirname + '/integration/commonjs', __dirname + '/input');
 
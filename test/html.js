@@ -1,5 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
+const path = require('path');
 const {bundle, assertBundleTree} = require('./utils');
 
 describe('html', function() {
@@ -42,7 +43,7 @@ describe('html', function() {
     let files = fs.readdirSync(__dirname + '/dist');
     let html = fs.readFileSync(__dirname + '/dist/index.html');
     for (let file of files) {
-      if (file !== 'index.html') {
+      if (file !== 'index.html' && !file.endsWith('.map')) {
         assert(html.includes(file));
       }
     }
@@ -272,4 +273,125 @@ describe('html', function() {
       ]
     });
   });
+
+  it('should resolve / from the project root and ~ through node_modules', async function() {
+    let b = await bundle(__dirname + '/integration/root-tilde/index.html');
+
+    assertBundleTree(b, {
+      name: 'index.html',
+      assets: ['index.html'],
+      childBundles: [
+        {
+          type: 'css',
+          assets: ['index.css', 'style.css'],
+          childBundles: [
+            {type: 'png', assets: ['image.png'], childBundles: []},
+            {type: 'png', assets: ['logo.png'], childBundles: []}
+          ]
+        },
+        {
+          type: 'js',
+          assets: ['index.js', 'value.js'],
+          childBundles: []
+        }
+      ]
+    });
+
+    let cssBundle = Array.from(b.childBundles).find(c => c.type === 'css');
+    let css = fs.readFileSync(cssBundle.name, 'utf8');
+    assert(css.includes('.pkg'));
+    assert(!css.includes('url(/images/logo.png)'));
+  });
+  it('should preload the bundles of the page and prefetch its dynamic bundles', async function() {
+    let b = await bundle(
+      __dirname + '/integration/html-resource-hints/index.html',
+      {resourceHints: true}
+    );
+
+    assertBundleTree(b, {
+      name: 'index.html',
+      assets: ['index.html'],
+      childBundles: [
+        {
+          type: 'js',
+          assets: [
+            'index.js',
+            'index.css',
+            'bundle-loader.js',
+            'bundle-url.js'
+          ],
+          childBundles: [
+            {type: 'css', assets: ['index.css'], childBundles: []},
+            {
+              type: 'js',
+              assets: ['lazy.js', 'lazy.css'],
+              childBundles: [
+                {type: 'css', assets: ['lazy.css'], childBundles: []}
+              ]
+            },
+            {type: 'woff2', assets: ['test.woff2'], childBundles: []}
+          ]
+        }
+      ]
+    });
+
+    let jsBundle = Array.from(b.childBundles)[0];
+    let lazyBundle = Array.from(jsBundle.childBundles).find(
+      c => c.type === 'js'
+    );
+    let fontBundle = Array.from(jsBundle.childBundles).find(
+      c => c.type === 'woff2'
+    );
+    let link = (rel, bundle, as) =>
+      `<link rel="${rel}" href="/dist/${path.basename(
+        bundle.name
+      )}" as="${as}"`;
+
+    let html = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    assert(html.includes(link('preload', jsBundle, 'script') + '>'));
+    assert(
+      html.includes(
+        link('preload', jsBundle.siblingBundles.get('css'), 'style') + '>'
+      )
+    );
+    assert(
+      html.includes(
+        link('preload', fontBundle, 'font') + ' crossorigin="anonymous">'
+      )
+    );
+    assert(html.includes(link('prefetch', lazyBundle, 'script') + '>'));
+    assert(
+      html.includes(
+        link('prefetch', lazyBundle.siblingBundles.get('css'), 'style') + '>'
+      )
+    );
+  });
+
+  it('should not add resource hints by default', async function() {
+    await bundle(__dirname + '/integration/html-resource-hints/index.html');
+
+    let html = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    assert(!html.includes('rel="preload"'));
+    assert(!html.includes('rel="prefetch"'));
+  });
+  it('should inline small images as data URIs in HTML and CSS', async function() {
+    let b = await bundle(__dirname + '/integration/inline-assets/index.html', {
+      inlineMaxSize: 1024
+    });
+
+    let cssBundle = Array.from(b.childBundles).find(c => c.type === 'css');
+    assertBundleTree(cssBundle, {
+      assets: ['index.css'],
+      childBundles: [{type: 'png', assets: ['large.png'], childBundles: []}]
+    });
+
+    let html = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    assert(html.includes('<img src="data:image/svg+xml,%3Csvg%20xmlns'));
+    assert(/<img src="\/dist\/[0-9a-f]+\.png">/.test(html));
+
+    let css = fs.readFileSync(cssBundle.name, 'utf8');
+    assert(css.includes('url(data:image/svg+xml,%3Csvg%20xmlns'));
+    assert(css.includes("url('data:image/png;base64,c21hbGw=')"));
+    assert(/url\([0-9a-f]+\.png\)/.test(css));
+  });
 });
@@ -0,0 +1 @@
+module.exports = [VALUE, require('./other')];
@@ -0,0 +1,12 @@
+// Replaces `VALUE` with the value in the options of the plugin
+module.exports = function({types: t}) {
+  return {
+    visitor: {
+      Identifier(path, state) {
+        if (path.node.name === 'VALUE') {
+          path.replaceWith(t.stringLiteral(state.opts.value));
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,8 @@
+require('./index.css');
+var image = require('./image.txt');
+
+module.exports = function() {
+  return import('./lazy').then(function(lazy) {
+    return lazy + ' ' + image;
+  });
+};
@@ -0,0 +1,8 @@
+var count = module.hot.data ? module.hot.data.count + 1 : 0;
+output('count ' + count);
+
+module.hot.dispose(function (data) {
+  data.count = count;
+});
+
+module.hot.accept();
@@ -0,0 +1 @@
+module.hot.decline();
@@ -0,0 +1,24 @@
+var local = require('./local');
+require('./counter');
+require('./invalid');
+require('./declined');
+require('./wrapper');
+
+output('index ' + (local.a + local.b));
+
+module.hot.accept('./local', function () {
+  local = require('./local');
+  output('local ' + (local.a + local.b));
+});
+
+module.hot.accept('./invalid', function () {
+  output('invalidated');
+});
+
+module.hot.accept('./wrapper', function () {
+  output('wrapper accepted');
+});
+
+module.hot.addStatusHandler(function (status) {
+  output(status);
+});
@@ -0,0 +1,6 @@
+module.hot.accept();
+
+// Passes its updates on to the modules that require it
+if (module.hot.data) {
+  module.hot.invalidate();
+}
@@ -0,0 +1,10 @@
+require('./leaf');
+
+if (module.hot.data) {
+  output('wrapper');
+}
+
+// Passes the updates of its dependency on to the modules that require it
+module.hot.accept('./leaf', function () {
+  module.hot.invalidate();
+});
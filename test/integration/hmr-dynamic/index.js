@@ -7,3 +7,5 @@ function run() {
 };
 
 run();
+
+module.hot.accept();
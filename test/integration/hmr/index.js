@@ -5,3 +5,5 @@ function run() {
 }
 
 run();
+
+module.hot.accept();
@@ -0,0 +1,5 @@
+import './index.css';
+
+export default function load() {
+  return import(/* prefetch */ './lazy');
+}
@@ -0,0 +1,9 @@
+module.exports = {
+  url: require('./logo.svg?url'),
+  inline: require('./logo.svg?inline'),
+  raw: require('./shader.glsl?raw'),
+  styles: require('./styles.css?module'),
+  worker: require('./worker.js?url'),
+  theme: require('./theme.css?url'),
+  themeInline: require('./theme.css?inline')
+};
@@ -0,0 +1,4 @@
+module.exports = {
+  icon: require('./icon.svg'),
+  large: require('./large.png')
+};
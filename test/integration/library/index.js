@@ -0,0 +1,9 @@
+import peer from 'peer';
+import {add} from './add';
+
+export * from './utils';
+export {add};
+
+export default function greet(name) {
+  return peer() + ' ' + name;
+}
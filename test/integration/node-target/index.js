@@ -0,0 +1,10 @@
+var fs = require('fs');
+var dep = require('dep');
+var local = require('./local');
+var lazy = import('./lazy');
+
+module.exports = function () {
+  return lazy.then(function (l) {
+    return [typeof fs.readFileSync, dep, local, l.default, typeof Buffer.from];
+  });
+};
@@ -0,0 +1,4 @@
+// The tests start the backend on a random port
+module.exports = {
+  '/socket': 'http://localhost:' + process.env.PROXY_PORT
+};
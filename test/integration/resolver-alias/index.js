@@ -0,0 +1,4 @@
+require('./index.css');
+require('./index.styl');
+
+module.exports = [require('foo'), require('@app/util'), require('./src/config')];
@@ -0,0 +1,4 @@
+import cjs from './cjs';
+import evaluated from './evaluated';
+
+export default cjs.value + evaluated;
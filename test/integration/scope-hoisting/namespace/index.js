@@ -0,0 +1,4 @@
+import * as utils from './utils';
+
+export const renamed = utils.renamed;
+export const all = utils;
@@ -0,0 +1,2 @@
+export {a as renamed} from './a';
+export * from './b';
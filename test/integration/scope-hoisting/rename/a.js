@@ -0,0 +1,5 @@
+const value = 1;
+
+export function getA() {
+  return value;
+}
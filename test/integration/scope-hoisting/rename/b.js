@@ -0,0 +1,3 @@
+const value = 2;
+
+export const getB = () => value;
@@ -0,0 +1,4 @@
+import {getA} from './a';
+import {getB} from './b';
+
+export default getA() + getB();
@@ -0,0 +1,8 @@
+interface Message {
+  text: string;
+}
+
+export function message(): string {
+  let msg: Message = {text: 'hello from typescript'};
+  return msg.text;
+}
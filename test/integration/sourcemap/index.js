@@ -0,0 +1,5 @@
+import local from './local';
+
+export default function() {
+  return local.message;
+}
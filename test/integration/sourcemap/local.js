@@ -0,0 +1,3 @@
+var prefix = 'hello';
+
+exports.message = prefix + ' from local';
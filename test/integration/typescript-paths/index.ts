@@ -0,0 +1,7 @@
+import add from '@utils/add';
+import special from '@utils/special/one';
+import config from 'config';
+import value from 'common/value';
+import fromJS from './js/index.js';
+
+export default [add(1, 2), special, config, value, fromJS];
@@ -0,0 +1 @@
+exports.default = require('common/value').default;
@@ -1,7 +1,10 @@
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
-const {bundle, run, assertBundleTree} = require('./utils');
+const rimraf = require('rimraf');
+const promisify = require('../src/utils/promisify');
+const ncp = promisify(require('ncp'));
+const {bundle, run, assertBundleTree, getOriginalPosition} = require('./utils');
 
 describe('javascript', function() {
   it('should produce a basic JS bundle with CommonJS requires', async function() {
@@ -58,6 +61,36 @@ describe('javascript', function() {
     assert.equal(await output(), 3);
   });
 
+  it('should prefetch the bundles of dynamic imports with a prefetch comment', async function() {
+    let b = await bundle(
+      __dirname + '/integration/html-resource-hints/index.js'
+    );
+
+    let links = [];
+    let document = {
+      createElement(tag) {
+        return {tag};
+      },
+
+      getElementsByTagName() {
+        return [{appendChild: el => links.push(el)}];
+      }
+    };
+
+    let output = run(b, {document});
+    assert.equal(typeof output.default, 'function');
+
+    let lazyBundle = Array.from(b.childBundles).find(c => c.type === 'js');
+    assert.deepEqual(links.map(link => [link.rel, link.as, link.href]), [
+      ['prefetch', 'script', '/' + path.basename(lazyBundle.name)],
+      [
+        'prefetch',
+        'style',
+        '/' + path.basename(lazyBundle.siblingBundles.get('css').name)
+      ]
+    ]);
+  });
+
   it('should support bundling workers', async function() {
     let b = await bundle(__dirname + '/integration/workers/index.js');
 
@@ -77,6 +110,33 @@ describe('javascript', function() {
     });
   });
 
+  it('should list the bundles to precache in service workers', async function() {
+    let b = await bundle(__dirname + '/integration/workers/index.js', {
+      precache: true,
+      contentHash: true
+    });
+
+    let sw = Array.from(b.childBundles).find(child => child.isServiceWorker);
+    let worker = Array.from(b.childBundles).find(child => child !== sw);
+    assert(!/\.[0-9a-f]{8}\.js$/.test(sw.name));
+
+    let js = fs.readFileSync(sw.name, 'utf8');
+    let manifest = JSON.parse(js.slice(js.indexOf('['), js.indexOf('];') + 1));
+    assert.deepEqual(manifest.map(entry => entry.url).sort(), [
+      '/dist/index.js',
+      '/dist/' + path.basename(worker.name)
+    ]);
+    assert(manifest.every(entry => /^[0-9a-f]{32}$/.test(entry.revision)));
+
+    await bundle(__dirname + '/integration/workers/index.js', {
+      precache: 'index.*'
+    });
+
+    js = fs.readFileSync(sw.name, 'utf8');
+    manifest = JSON.parse(js.slice(js.indexOf('['), js.indexOf('];') + 1));
+    assert.deepEqual(manifest.map(entry => entry.url), ['/dist/index.js']);
+  });
+
   it('should dynamic import files which import raw files', async function() {
     let b = await bundle(
       __dirname + '/integration/dynamic-references-raw/index.js'
@@ -146,6 +206,41 @@ describe('javascript', function() {
     assert.equal(await output(), 7);
   });
 
+  it('should extract common dependencies over the size threshold into a shared bundle', async function() {
+    let b = await bundle(__dirname + '/integration/dynamic-hoist/index.js', {
+      minSharedBundleSize: 0
+    });
+
+    assertBundleTree(b, {
+      name: 'index.js',
+      assets: ['index.js', 'bundle-loader.js', 'bundle-url.js'],
+      childBundles: [
+        {
+          assets: ['a.js'],
+          childBundles: []
+        },
+        {
+          assets: ['b.js'],
+          childBundles: []
+        },
+        {
+          assets: ['common.js', 'common-dep.js'],
+          childBundles: []
+        }
+      ]
+    });
+
+    // The shared bundle is loaded along with each of the bundles that use it
+    let shared = Array.from(b.childBundles).find(child => child.isShared);
+    let js = fs.readFileSync(b.name, 'utf8');
+    let sharedName = JSON.stringify(path.basename(shared.name));
+    assert.equal(js.split(`[${sharedName},`).length, 3);
+
+    let output = run(b);
+    assert.equal(typeof output, 'function');
+    assert.equal(await output(), 7);
+  });
+
   it('should support requiring JSON files', async function() {
     let b = await bundle(__dirname + '/integration/json/index.js');
 
@@ -181,6 +276,79 @@ describe('javascript', function() {
     assert(fs.existsSync(__dirname + output()));
   });
 
+  it('should inline required images smaller than the threshold as data URIs', async function() {
+    let b = await bundle(__dirname + '/integration/inline-assets/index.js', {
+      inlineMaxSize: 1024
+    });
+
+    assertBundleTree(b, {
+      name: 'index.js',
+      assets: ['index.js', 'icon.svg', 'large.png'],
+      childBundles: [{type: 'png', assets: ['large.png'], childBundles: []}]
+    });
+
+    let output = run(b);
+    assert(output.icon.startsWith('data:image/svg+xml,%3Csvg%20xmlns'));
+    assert(/^\/dist\/[0-9a-f]+\.png$/.test(output.large));
+  });
+
+  it('should load a file as a URL, a data URI, a string or a CSS module with an import query', async function() {
+    let b = await bundle(__dirname + '/integration/import-query/index.js');
+
+    assertBundleTree(b, {
+      name: 'index.js',
+      assets: [
+        'index.js',
+        'logo.svg',
+        'logo.svg',
+        'shader.glsl',
+        'styles.css',
+        'theme.css',
+        'theme.css',
+        'worker.js'
+      ],
+      childBundles: [
+        {
+          type: 'raw',
+          assets: ['logo.svg', 'theme.css', 'worker.js'],
+          childBundles: []
+        },
+        {type: 'css', assets: ['styles.css'], childBundles: []}
+      ]
+    });
+
+    let output = run(b);
+    assert(/^\/dist\/[0-9a-f]+\.svg$/.test(output.url));
+    assert(output.inline.startsWith('data:image/svg+xml,%3Csvg%20xmlns'));
+    assert.equal(output.raw, 'void main() {\n  gl_FragColor = vec4(1.0);\n}\n');
+    assert(/^_button_/.test(output.styles.button));
+
+    // JS and CSS files imported with `?url` are copied as is
+    assert(/^\/dist\/[0-9a-f]+\.js$/.test(output.worker));
+    assert(/^\/dist\/[0-9a-f]+\.css$/.test(output.theme));
+    assert.equal(
+      fs.readFileSync(__dirname + output.worker, 'utf8'),
+      fs.readFileSync(__dirname + '/integration/import-query/worker.js', 'utf8')
+    );
+    assert.equal(
+      fs.readFileSync(__dirname + output.theme, 'utf8'),
+      fs.readFileSync(__dirname + '/integration/import-query/theme.css', 'utf8')
+    );
+
+    // and are inlined with their own MIME type
+    assert.equal(
+      output.themeInline,
+      'data:text/css;base64,' +
+        fs
+          .readFileSync(__dirname + '/integration/import-query/theme.css')
+          .toString('base64')
+    );
+
+    let css = fs.readFileSync(__dirname + '/dist/index.css', 'utf8');
+    assert(css.includes(`.${output.styles.button} {`));
+    assert(css.includes('url(data:image/svg+xml,%3Csvg%20xmlns'));
+  });
+
   it('should minify JS in production mode', async function() {
     let b = await bundle(__dirname + '/integration/uglify/index.js', {
       production: true
@@ -194,6 +362,47 @@ describe('javascript', function() {
     assert(!js.includes('local.a'));
   });
 
+  it('should generate a source map for the bundle', async function() {
+    let b = await bundle(__dirname + '/integration/sourcemap/index.js');
+
+    let output = run(b);
+    assert.equal(output.default(), 'hello from local');
+
+    let js = fs.readFileSync(b.name, 'utf8');
+    assert(js.includes('//# sourceMappingURL=index.js.map'));
+
+    let position = getOriginalPosition(b.name, "' from local'");
+    assert.equal(position.source, '../integration/sourcemap/local.js');
+    assert.equal(position.line, 3);
+
+    position = getOriginalPosition(b.name, '_local2.default.message');
+    assert.equal(position.source, '../integration/sourcemap/index.js');
+    assert.equal(position.line, 4);
+  });
+
+  it('should map minified code back to the original source', async function() {
+    let b = await bundle(__dirname + '/integration/sourcemap/index.js', {
+      production: true
+    });
+
+    let output = run(b);
+    assert.equal(output.default(), 'hello from local');
+
+    let position = getOriginalPosition(b.name, '"hello"');
+    assert.equal(position.source, '../integration/sourcemap/local.js');
+    assert.equal(position.line, 1);
+  });
+
+  it('should not generate source maps when disabled', async function() {
+    let b = await bundle(__dirname + '/integration/sourcemap/index.js', {
+      sourceMaps: false
+    });
+
+    let js = fs.readFileSync(b.name, 'utf8');
+    assert(!js.includes('sourceMappingURL'));
+    assert(!fs.existsSync(b.name + '.map'));
+  });
+
   it('should use uglify config', async function() {
     await bundle(__dirname + '/integration/uglify-config/index.js', {
       production: true
@@ -383,4 +592,63 @@ describe('javascript', function() {
     assert.equal(typeof output.test, 'function');
     assert.equal(output.test(), 'pkg-main-module');
   });
+
+  it('should leave built-ins and node_modules as requires when targeting node', async function() {
+    rimraf.sync(__dirname + '/input');
+    await ncp(__dirname + '/integration/node-target', __dirname + '/input');
+
+    let outDir = __dirname + '/input/dist';
+    let b = await bundle(__dirname + '/input/index.js', {
+      target: 'node',
+      outDir
+    });
+
+    assertBundleTree(b, {
+      name: 'index.js',
+      assets: [
+        'index.js',
+        'local.js',
+        'lazy.js',
+        'bundle-loader.js',
+        'bundle-url.js'
+      ],
+      childBundles: []
+    });
+
+    let js = fs.readFileSync(outDir + '/index.js', 'utf8');
+    assert(!js.includes('require("buffer")'));
+
+    // The bundle runs under node, and requires node_modules from the output directory
+    let output = require(outDir + '/index.js');
+    assert.deepEqual(await output(), [
+      'function',
+      'main',
+      'local',
+      'lazy',
+      'function'
+    ]);
+  });
+
+  it('should bundle the main field of node_modules on request when targeting node', async function() {
+    rimraf.sync(__dirname + '/input');
+    await ncp(__dirname + '/integration/node-target', __dirname + '/input');
+
+    let b = await bundle(__dirname + '/input/index.js', {
+      target: 'node',
+      bundleNodeModules: true
+    });
+
+    assertBundleTree(b, {
+      name: 'index.js',
+      assets: [
+        'index.js',
+        'main.js',
+        'local.js',
+        'lazy.js',
+        'bundle-loader.js',
+        'bundle-url.js'
+      ],
+      childBundles: []
+    });
+  });
 });
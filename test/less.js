@@ -1,6 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
-const {bundle, run, assertBundleTree} = require('./utils');
+const {bundle, run, assertBundleTree, getOriginalPosition} = require('./utils');
 
 describe('less', function() {
   it('should support requiring less files', async function() {
@@ -50,6 +50,27 @@ describe('less', function() {
     assert(css.includes('.base'));
   });
 
+  it('should resolve less imports from the project root and node_modules', async function() {
+    await bundle(__dirname + '/integration/root-tilde/styles/index.less');
+
+    let css = fs.readFileSync(__dirname + '/dist/index.css', 'utf8');
+    assert(css.includes('.base'));
+    assert(/\.index\s*{\s*color: green/.test(css));
+  });
+
+  it('should map less imports back to the original source', async function() {
+    await bundle(__dirname + '/integration/less-import/index.js');
+
+    let file = __dirname + '/dist/index.css';
+    let position = getOriginalPosition(file, '.base');
+    assert.equal(position.source, '../integration/less-import/base.less');
+    assert.equal(position.line, 3);
+
+    position = getOriginalPosition(file, '.index');
+    assert.equal(position.source, '../integration/less-import/index.less');
+    assert.equal(position.line, 3);
+  });
+
   it('should support linking to assets with url() from less', async function() {
     let b = await bundle(__dirname + '/integration/less-url/index.js');
 
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const fs = require('fs');
+const vm = require('vm');
+const {bundle, assertBundleTree} = require('./utils');
+
+const entry = __dirname + '/integration/library/index.js';
+const outDir = __dirname + '/dist';
+
+describe('library', function() {
+  it('should export the entry as a CommonJS module', async function() {
+    let b = await bundle(entry, {library: 'cjs'});
+
+    // Peer dependencies are left to the application
+    assertBundleTree(b, {
+      name: 'index.js',
+      assets: ['index.js', 'add.js', 'utils.js'],
+      childBundles: []
+    });
+
+    let js = fs.readFileSync(outDir + '/index.js', 'utf8');
+    assert(js.startsWith('module.exports = ('));
+    assert(js.includes('{"peer": require("peer")}'));
+
+    let module = {exports: {}};
+    vm.runInNewContext(js, {
+      module,
+      exports: module.exports,
+      require: name => (name === 'peer' ? () => 'peer' : null)
+    });
+
+    let output = module.exports;
+    assert.equal(output.default('world'), 'peer world');
+    assert.equal(output.add(1, 2), 3);
+    assert.equal(output.version, '1.0.0');
+  });
+
+  it('should export the entry as a UMD global without a global require', async function() {
+    await bundle(entry, {library: true, globalName: 'MyLibrary'});
+
+    let ctx = vm.createContext({
+      peer: () => 'global peer'
+    });
+    vm.runInContext(fs.readFileSync(outDir + '/index.js', 'utf8'), ctx);
+
+    assert.equal(typeof ctx.require, 'undefined');
+    assert.equal(ctx.MyLibrary.default('world'), 'global peer world');
+    assert.equal(ctx.MyLibrary.add(1, 2), 3);
+  });
+
+  it('should export the names of the entry as an ES module', async function() {
+    await bundle(entry, {library: 'esm'});
+
+    let js = fs.readFileSync(outDir + '/index.js', 'utf8');
+    assert(js.startsWith('import * as $parcel$external0 from "peer";'));
+    for (let name of ['add', 'default', 'version']) {
+      assert(new RegExp(`export {\\$parcel\\$export\\d as ${name}};`).test(js));
+    }
+  });
+});
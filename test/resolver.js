@@ -0,0 +1,57 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Resolver = require('../src/Resolver');
+const {bundle, run} = require('./utils');
+
+const rootDir = path.join(__dirname, 'integration/resolver-alias');
+
+describe('resolver', function() {
+  it('should apply aliases to bare specifiers, path prefixes and files', async function() {
+    let b = await bundle(rootDir + '/index.js');
+
+    let output = run(b);
+    assert.deepEqual(output, ['bar', 'util', 'prod']);
+  });
+
+  it('should apply aliases to CSS and Stylus imports', async function() {
+    await bundle(rootDir + '/index.js');
+
+    let css = fs.readFileSync(__dirname + '/dist/index.css', 'utf8');
+    assert(css.includes('.base'));
+    assert(css.includes('.index'));
+    assert(/\.stylus\s*{\s*color: #008000/.test(css));
+  });
+
+  it('should not apply aliases that only match part of a name', async function() {
+    let resolver = new Resolver({
+      mainFile: rootDir + '/index.js',
+      extensions: {'.js': true}
+    });
+
+    let parent = rootDir + '/index.js';
+    assert.equal(resolver.resolveAlias('foo/lib', parent), 'bar/lib');
+    assert.equal(resolver.resolveAlias('foobar', parent), 'foobar');
+    assert.equal(resolver.resolveAlias('./src/util', parent), './src/util');
+  });
+
+  it('should resolve imports from the project root before applying aliases', function() {
+    let resolver = new Resolver({
+      mainFile: rootDir + '/index.js',
+      rootDir,
+      extensions: {'.js': true}
+    });
+
+    let parent = rootDir + '/src/util.js';
+    assert.equal(
+      resolver.resolveSync('/src/config', parent).path,
+      rootDir + '/src/config.prod.js'
+    );
+
+    // Aliases to paths outside the project are not moved into it
+    assert.equal(
+      resolver.resolveSync('shared', parent).path,
+      path.join(__dirname, 'integration/resolver-alias-shared/index.js')
+    );
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const fs = require('fs');
+const {bundle, run} = require('./utils');
+
+function bundleHoisted(file, opts) {
+  return bundle(
+    __dirname + '/integration/scope-hoisting/' + file,
+    Object.assign({scopeHoist: true}, opts)
+  );
+}
+
+describe('scope hoisting', function() {
+  it('should concatenate ES modules and rename conflicting bindings', async function() {
+    let b = await bundleHoisted('rename/index.js');
+
+    let js = fs.readFileSync(__dirname + '/dist/index.js', 'utf8');
+    assert.equal(js.match(/function\(require,module,exports\)/g).length, 1);
+
+    let output = run(b);
+    assert.equal(output.default, 3);
+  });
+
+  it('should remove unused exports when minifying', async function() {
+    let b = await bundleHoisted('tree-shaking/index.js', {minify: true});
+
+    let js = fs.readFileSync(__dirname + '/dist/index.js', 'utf8');
+    assert(!js.includes('UNUSED_EXPORT'));
+
+    let output = run(b);
+    assert.equal(output.default, 'used');
+  });
+
+  it('should fall back to the CommonJS wrapper for modules that cannot be hoisted', async function() {
+    let b = await bundleHoisted('commonjs-fallback/index.js');
+
+    let js = fs.readFileSync(__dirname + '/dist/index.js', 'utf8');
+    assert.equal(js.match(/function\(require,module,exports\)/g).length, 3);
+
+    let output = run(b);
+    assert.equal(output.default, 4);
+  });
+
+  it('should support namespace imports and re-exports', async function() {
+    let b = await bundleHoisted('namespace/index.js');
+
+    let output = run(b);
+    assert.equal(output.renamed, 'a');
+    assert.deepEqual(Object.keys(output.all).sort(), ['b', 'renamed']);
+    assert.equal(output.all.renamed, 'a');
+    assert.equal(output.all.b, 'b');
+  });
+
+  it('should hoist the modules of dynamically imported bundles', async function() {
+    let b = await bundleHoisted('dynamic-import/index.js');
+
+    let output = run(b);
+    assert.equal(await output.default(), 3);
+  });
+});
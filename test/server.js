@@ -1,8 +1,9 @@
 const assert = require('assert');
 const fs = require('fs');
-const {bundler} = require('./utils');
+const {bundler, sleep} = require('./utils');
 const http = require('http');
 const https = require('https');
+const WebSocket = require('ws');
 
 describe('server', function() {
   let server;
@@ -38,6 +39,27 @@ describe('server', function() {
     });
   }
 
+  function post(file, headers = {}) {
+    return new Promise((resolve, reject) => {
+      http
+        .request(
+          {
+            hostname: 'localhost',
+            port: server.address().port,
+            path: file,
+            method: 'POST',
+            headers
+          },
+          res => {
+            res.resume();
+            resolve(res.statusCode);
+          }
+        )
+        .on('error', reject)
+        .end();
+    });
+  }
+
   it('should serve files', async function() {
     let b = bundler(__dirname + '/integration/commonjs/index.js');
     server = await b.serve(0);
@@ -57,6 +79,22 @@ describe('server', function() {
     assert.equal(data, fs.readFileSync(__dirname + '/dist/index.html', 'utf8'));
   });
 
+  it('should serve each HTML entry point by name', async function() {
+    let b = bundler([
+      __dirname + '/integration/multi-entry-html/index.html',
+      __dirname + '/integration/multi-entry-html/admin/index.html'
+    ]);
+    server = await b.serve(0);
+
+    let data = await get('/');
+    let index = fs.readFileSync(__dirname + '/dist/index.html', 'utf8');
+    let admin = fs.readFileSync(__dirname + '/dist/admin/index.html', 'utf8');
+    assert.equal(data, index);
+    assert.equal(await get('/admin'), admin);
+    assert.equal(await get('/admin/'), admin);
+    assert.equal(await get('/foo/bar'), index);
+  });
+
   it('should serve a 404 if the file does not exist', async function() {
     let b = bundler(__dirname + '/integration/commonjs/index.js');
     server = await b.serve(0);
@@ -88,6 +126,176 @@ describe('server', function() {
     await get('/');
   });
 
+  it('should open the files of the project in the editor', async function() {
+    let b = bundler(__dirname + '/integration/commonjs/index.js');
+    server = await b.serve(0);
+    await get('/dist/index.js');
+
+    // A fake editor that records the arguments it was opened with
+    let editor = __dirname + '/dist/editor.js';
+    fs.writeFileSync(
+      editor,
+      'require("fs").writeFileSync(__dirname + "/editor.json", JSON.stringify(process.argv.slice(2)));'
+    );
+
+    let file = __dirname + '/integration/commonjs/local.js';
+    let launchURL = `/__parcel_launch_editor?file=${encodeURIComponent(file)}`;
+    let {VISUAL, EDITOR} = process.env;
+    try {
+      // Without a configured editor, the file isn't opened with its default application
+      delete process.env.VISUAL;
+      delete process.env.EDITOR;
+      assert.equal(await post(launchURL), 501);
+
+      process.env.PARCEL_EDITOR = `${process.execPath} ${editor}`;
+
+      // Other pages can't open the editor, with a link or from a script
+      let threw = false;
+      try {
+        await get(launchURL);
+      } catch (err) {
+        assert.equal(err.message, 'Request failed: 405');
+        threw = true;
+      }
+
+      assert(threw);
+      assert.equal(await post(launchURL, {origin: 'http://example.com'}), 403);
+      assert.equal(
+        await post(
+          `/__parcel_launch_editor?file=${encodeURIComponent(__filename)}`
+        ),
+        404
+      );
+
+      assert.equal(
+        await post(launchURL + '&line=2', {
+          origin: `http://localhost:${server.address().port}`
+        }),
+        200
+      );
+    } finally {
+      delete process.env.PARCEL_EDITOR;
+      if (VISUAL !== undefined) {
+        process.env.VISUAL = VISUAL;
+      }
+
+      if (EDITOR !== undefined) {
+        process.env.EDITOR = EDITOR;
+      }
+    }
+
+    let output = __dirname + '/dist/editor.json';
+    for (let i = 0; i < 50 && !fs.existsSync(output); i++) {
+      await sleep(100);
+    }
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf8')), [file]);
+  });
+
+  it('should proxy matching requests to another host', async function() {
+    let backend = http.createServer((req, res) => {
+      res.end(JSON.stringify({url: req.url, headers: req.headers}));
+    });
+    await new Promise(resolve => backend.listen(0, resolve));
+    let target = `localhost:${backend.address().port}`;
+
+    try {
+      let b = bundler(__dirname + '/integration/commonjs/index.js', {
+        proxy: {
+          '/api': {
+            target: `http://${target}/v1`,
+            pathRewrite: {'^/api': ''},
+            headers: {'X-Proxied-By': 'parcel', 'User-Agent': null},
+            changeOrigin: true
+          }
+        }
+      });
+      server = await b.serve(0);
+
+      let data = JSON.parse(await get('/api/users?id=1'));
+      assert.equal(data.url, '/v1/users?id=1');
+      assert.equal(data.headers.host, target);
+      assert.equal(data.headers['x-proxied-by'], 'parcel');
+      assert(!('user-agent' in data.headers));
+
+      // Other paths are served as usual
+      let js = await get('/dist/index.js');
+      assert.equal(js, fs.readFileSync(__dirname + '/dist/index.js', 'utf8'));
+
+      let threw = false;
+      try {
+        await get('/apis');
+      } catch (err) {
+        threw = true;
+      }
+
+      assert(threw);
+    } finally {
+      backend.close();
+    }
+  });
+
+  it('should load proxy rules from .proxyrc and forward websockets', async function() {
+    let backend = http.createServer();
+    let wss = new WebSocket.Server({server: backend});
+    wss.on('connection', (ws, req) => ws.send(req.url));
+    await new Promise(resolve => backend.listen(0, resolve));
+    process.env.PROXY_PORT = backend.address().port;
+
+    try {
+      let b = bundler(__dirname + '/integration/proxy/index.js');
+      server = await b.serve(0);
+
+      let ws = new WebSocket(
+        `ws://localhost:${server.address().port}/socket/echo`
+      );
+      let msg = await new Promise(resolve => ws.on('message', resolve));
+      assert.equal(msg, '/socket/echo');
+      ws.close();
+    } finally {
+      delete process.env.PROXY_PORT;
+      wss.close();
+      backend.close();
+    }
+  });
+
+  it('should close proxied responses when the other host drops them', async function() {
+    let backend = http.createServer((req, res) => {
+      res.writeHead(200);
+      res.write('partial');
+      setTimeout(() => res.destroy(), 50);
+    });
+    await new Promise(resolve => backend.listen(0, resolve));
+
+    try {
+      let b = bundler(__dirname + '/integration/commonjs/index.js', {
+        proxy: {'/api': `http://localhost:${backend.address().port}`}
+      });
+      server = await b.serve(0);
+
+      let body = await new Promise((resolve, reject) => {
+        http
+          .get(
+            {
+              hostname: 'localhost',
+              port: server.address().port,
+              path: '/api'
+            },
+            res => {
+              let data = '';
+              res.on('data', chunk => (data += chunk));
+              res.on('close', () => resolve(data));
+            }
+          )
+          .on('error', reject);
+      });
+
+      assert.equal(body, 'partial');
+    } finally {
+      backend.close();
+    }
+  });
+
   it('should support HTTPS', async function() {
     let b = bundler(__dirname + '/integration/commonjs/index.js');
     server = await b.serve(0, true);
@@ -1,6 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
-const {bundle, run, assertBundleTree} = require('./utils');
+const {bundle, run, assertBundleTree, getOriginalPosition} = require('./utils');
 
 describe('stylus', function() {
   it('should support requiring stylus files', async function() {
@@ -53,6 +53,19 @@ describe('stylus', function() {
     assert(css.includes('-webkit-box'));
   });
 
+  it('should map stylus imports back to the original source', async function() {
+    await bundle(__dirname + '/integration/stylus-deps/index.js');
+
+    let file = __dirname + '/dist/index.css';
+    let position = getOriginalPosition(file, '.a');
+    assert.equal(position.source, '../integration/stylus-deps/deps/a.styl');
+    assert.equal(position.line, 1);
+
+    position = getOriginalPosition(file, '.index');
+    assert.equal(position.source, '../integration/stylus-deps/index.styl');
+    assert.equal(position.line, 4);
+  });
+
   it('should support linking to assets with url() from stylus', async function() {
     let b = await bundle(__dirname + '/integration/stylus-url/index.js');
 
@@ -1,6 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
-const {bundle, run, assertBundleTree} = require('./utils');
+const {bundle, run, assertBundleTree, getOriginalPosition} = require('./utils');
 
 describe('typescript', function() {
   it('should produce a ts bundle using ES6 imports', async function() {
@@ -96,4 +96,33 @@ describe('typescript', function() {
     let js = fs.readFileSync(__dirname + '/dist/index.js', 'utf8');
     assert(!js.includes('/* test comment */'));
   });
+
+  it('should resolve modules using the baseUrl and paths in tsconfig.json', async function() {
+    let b = await bundle(__dirname + '/integration/typescript-paths/index.ts');
+
+    let output = run(b);
+    assert.deepEqual(output.default, [
+      3,
+      'special',
+      'config',
+      'value',
+      'value'
+    ]);
+  });
+
+  it('should map the bundle back to the typescript source', async function() {
+    let b = await bundle(
+      __dirname + '/integration/sourcemap-typescript/index.ts'
+    );
+
+    let output = run(b);
+    assert.equal(output.message(), 'hello from typescript');
+
+    let position = getOriginalPosition(b.name, "'hello from typescript'");
+    assert.equal(
+      position.source,
+      '../integration/sourcemap-typescript/index.ts'
+    );
+    assert.equal(position.line, 6);
+  });
 });
@@ -5,6 +5,7 @@ const vm = require('vm');
 const fs = require('fs');
 const path = require('path');
 const WebSocket = require('ws');
+const {SourceMapConsumer} = require('source-map');
 
 beforeEach(function(done) {
   const finalize = () => {
@@ -66,7 +67,9 @@ function run(bundle, globals) {
                 );
               }
 
-              el.onload();
+              if (el.onload) {
+                el.onload();
+              }
             }, 0);
           }
         }
@@ -79,7 +82,8 @@ function run(bundle, globals) {
       document: fakeDocument,
       WebSocket,
       console,
-      location: {hostname: 'localhost'}
+      setTimeout,
+      location: {hostname: 'localhost', reload() {}}
     },
     globals
   );
@@ -132,9 +136,21 @@ function nextBundle(b) {
   });
 }
 
+function getOriginalPosition(filename, search) {
+  let code = fs.readFileSync(filename, 'utf8');
+  let lines = code.slice(0, code.indexOf(search)).split('\n');
+  let map = JSON.parse(fs.readFileSync(filename + '.map', 'utf8'));
+
+  return new SourceMapConsumer(map).originalPositionFor({
+    line: lines.length,
+    column: lines[lines.length - 1].length
+  });
+}
+
 exports.sleep = sleep;
 exports.bundler = bundler;
 exports.bundle = bundle;
 exports.run = run;
 exports.assertBundleTree = assertBundleTree;
 exports.nextBundle = nextBundle;
+exports.getOriginalPosition = getOriginalPosition;
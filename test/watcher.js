@@ -172,4 +172,61 @@ describe('watcher', function() {
 
     assert(!b.loadedAssets.has(path.join(__dirname, '/input/common-dep.js')));
   });
+
+  it('should rebuild all the assets that include a config file when it changes', async function() {
+    // A directory of its own, since the workers cache which config files exist
+    let input = __dirname + '/input/babelrc-shared';
+    fs.mkdirSync(__dirname + '/input');
+    await ncp(__dirname + '/integration/babelrc-shared', input);
+
+    b = bundler(input + '/index.js', {watch: true});
+    let bundle = await b.bundle();
+    assert.deepEqual(run(bundle), ['a', 'a']);
+
+    fs.writeFileSync(
+      input + '/.babelrc',
+      JSON.stringify({plugins: [['./plugin', {value: 'b'}]]})
+    );
+
+    bundle = await nextBundle(b);
+    assert.deepEqual(run(bundle), ['b', 'b']);
+  });
+
+  it('should rebuild assets that inline a file when it changes', async function() {
+    await ncp(__dirname + '/integration/inline-assets', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.html', {
+      watch: true,
+      inlineMaxSize: 1024
+    });
+    await b.bundle();
+
+    fs.writeFileSync(__dirname + '/input/small.png', 'changed');
+
+    let bundle = await nextBundle(b);
+    let cssBundle = Array.from(bundle.childBundles).find(c => c.type === 'css');
+    let css = fs.readFileSync(cssBundle.name, 'utf8');
+    assert(css.includes("url('data:image/png;base64,Y2hhbmdlZA==')"));
+  });
+
+  it('should regenerate the precache manifest of service workers', async function() {
+    await ncp(__dirname + '/integration/workers', __dirname + '/input');
+
+    b = bundler(__dirname + '/input/index.js', {
+      watch: true,
+      precache: true,
+      contentHash: true
+    });
+    let bundle = await b.bundle();
+    let sw = Array.from(bundle.childBundles).find(c => c.isServiceWorker);
+    let manifest = fs.readFileSync(sw.name, 'utf8');
+
+    fs.writeFileSync(__dirname + '/input/worker.js', 'self.foo = 1;');
+
+    bundle = await nextBundle(b);
+    let worker = Array.from(bundle.childBundles).find(c => !c.isServiceWorker);
+    let js = fs.readFileSync(sw.name, 'utf8');
+    assert.notEqual(js, manifest);
+    assert(js.includes(`"url": "/dist/${path.basename(worker.name)}"`));
+  });
 });